@@ -0,0 +1,956 @@
+/**
+ * DoveTrek Solver Module (benchmark baseline)
+ * Copy of js/solver.js from before the precomputed tables were added, kept as the
+ * default reference for bench/solver-bench.js. Not loaded by the app.
+ *
+ * Bitmask Dynamic Programming solver for optimal route finding,
+ * with a beam-search heuristic for checkpoint sets too large for the DP
+ * Ported from C++ implementation
+ */
+
+const Solver = (function() {
+
+    const INF = 1e9;
+
+    // Report progress every 4096 masks (must be a power of two)
+    const PROGRESS_INTERVAL = 1 << 12;
+
+    // Score for checkpoints without a score in the data or config
+    const DEFAULT_SCORE = 1;
+
+    const ENGINES = {
+        AUTO: 'auto',
+        EXACT: 'exact',
+        HEURISTIC: 'heuristic'
+    };
+
+    // Auto mode switches to the heuristic above this many checkpoints
+    const EXACT_LIMIT = 20;
+
+    // The DP tables need 2^n * n entries; beyond this they cannot be allocated in a browser
+    const MAX_EXACT_CHECKPOINTS = 24;
+
+    // Heuristic tuning
+    const DEFAULT_BEAM_WIDTH = 300;
+    const LOCAL_SEARCH_ROUTES = 5;
+    const MAX_LOCAL_SEARCH_PASSES = 200;
+
+    /**
+     * Solve for optimal route
+     * Uses the exact bitmask DP up to EXACT_LIMIT checkpoints and beam search above it
+     * @param {Object} data - Loaded year data from GitHubLoader
+     * @param {Object} config - {speed: km/h, dwellTime: minutes, excludedCps: Set, onProgress: Function,
+     *                            travelModel, naismithMinutes, fitness, speedProfile (see TravelModel.legMinutes),
+     *                            objective: 'count'|'score', scores: Map of name -> score overrides,
+     *                            requiredCps: Set of checkpoints every route must include,
+     *                            alternatives: number of distinct routes to return (default 1),
+     *                            startFrom: checkpoint to start from instead of START (re-planning),
+     *                            startTime: start time override, visitedCps: Set already visited,
+     *                            engine: 'auto'|'exact'|'heuristic', beamWidth: heuristic beam width}
+     * @returns {Object} {count, totalScore, route, finishTime, totalDistance, totalHeight, alternatives,
+     *                    engine, heuristic, upperBound, optimalityGap}
+     *                   where alternatives lists up to that many routes, best first
+     *                   or {infeasible: true, message} if the required checkpoints cannot all be visited
+     */
+    function solve(data, config) {
+        const { checkpoints, distances } = data;
+        const { excludedCps, scores, requiredCps, startFrom, visitedCps } = config;
+        const startTime = config.startTime ?? data.startTime;
+
+        // Build list of visitable checkpoints (excluding start/finish and excluded ones)
+        const visitableCps = [];
+        const cpIndices = new Map();
+        let startCp = null;
+        let finishCp = null;
+
+        for (const [name, cp] of checkpoints) {
+            if (cp.isStart) {
+                startCp = { name, ...cp };
+                continue;
+            }
+            if (cp.isFinish) {
+                finishCp = { name, ...cp };
+                continue;
+            }
+            if (excludedCps && excludedCps.has(name)) {
+                continue;
+            }
+            if (name === startFrom || (visitedCps && visitedCps.has(name))) {
+                continue;
+            }
+
+            cpIndices.set(name, visitableCps.length);
+            visitableCps.push({ name, ...cp, score: getCheckpointScore(name, checkpoints, scores) });
+        }
+
+        // Re-planning starts from the last visited checkpoint
+        if (startFrom && checkpoints.has(startFrom)) {
+            startCp = { name: startFrom, ...checkpoints.get(startFrom) };
+        }
+
+        const n = visitableCps.length;
+
+        // Indices of checkpoints every route must include
+        const requiredIndices = [];
+        if (requiredCps) {
+            const unavailable = [];
+            for (const name of requiredCps) {
+                // Already visited on this run
+                if (name === startFrom || (visitedCps && visitedCps.has(name))) continue;
+
+                if (cpIndices.has(name)) {
+                    requiredIndices.push(cpIndices.get(name));
+                } else {
+                    unavailable.push(name);
+                }
+            }
+
+            if (unavailable.length > 0) {
+                return infeasibleResult(data, startTime, startCp, finishCp,
+                    `Required checkpoints are not available: ${unavailable.join(', ')}`);
+            }
+        }
+
+        if (n === 0) {
+            return {
+                count: 0,
+                totalScore: 0,
+                route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
+                finishTime: startTime,
+                totalDistance: getDistanceValue(distances, startCp?.name, finishCp?.name),
+                totalHeight: getHeightValue(distances, startCp?.name, finishCp?.name)
+            };
+        }
+
+        const ctx = { data, config, visitableCps, startCp, finishCp, startTime, requiredIndices };
+        const engine = chooseEngine(n, config.engine);
+
+        return engine === ENGINES.HEURISTIC ? solveHeuristic(ctx) : solveExact(ctx);
+    }
+
+    /**
+     * Pick the solver engine for a checkpoint count
+     */
+    function chooseEngine(n, requested = ENGINES.AUTO) {
+        if (requested === ENGINES.HEURISTIC) return ENGINES.HEURISTIC;
+
+        if (requested === ENGINES.EXACT) {
+            if (n > MAX_EXACT_CHECKPOINTS) {
+                throw new Error(`Too many checkpoints for the exact solver (${n}, max ${MAX_EXACT_CHECKPOINTS}). ` +
+                    'Exclude some or use the heuristic solver.');
+            }
+            return ENGINES.EXACT;
+        }
+
+        return n > EXACT_LIMIT ? ENGINES.HEURISTIC : ENGINES.EXACT;
+    }
+
+    /**
+     * Exact bitmask DP over every subset of checkpoints
+     */
+    function solveExact(ctx) {
+        const { data, config, visitableCps, startCp, finishCp, startTime, requiredIndices } = ctx;
+        const { checkpoints, finishWindow, distances } = data;
+        const { dwellTime, onProgress, objective = 'count', scores, alternatives } = config;
+        const n = visitableCps.length;
+
+        // Bitmask of checkpoints every final state must cover
+        let requiredMask = 0;
+        for (const i of requiredIndices) {
+            requiredMask |= 1 << i;
+        }
+
+        // DP state: dp[mask][last] = earliest arrival time at 'last' having visited 'mask'
+        const numMasks = 1 << n;
+        const dp = new Float64Array(numMasks * n).fill(INF);
+        const parent = new Int32Array(numMasks * n).fill(-1);
+        const maskScores = objective === 'score' ? buildMaskScores(visitableCps, numMasks) : null;
+
+        // Initialize: travel from start to each checkpoint
+        for (let i = 0; i < n; i++) {
+            const cp = visitableCps[i];
+            const travelTime = getTravelTime(distances, startCp?.name, cp.name, config, startTime);
+
+            if (travelTime === INF) continue;
+
+            const arriveTime = startTime + travelTime;
+            const waitTime = getWaitTime(arriveTime, cp.openSlots);
+
+            if (waitTime === INF) continue;
+
+            const departTime = arriveTime + waitTime + dwellTime;
+            const mask = 1 << i;
+            const idx = mask * n + i;
+
+            dp[idx] = departTime;
+            parent[idx] = -2; // Indicates came from start
+        }
+
+        // DP transitions
+        for (let mask = 1; mask < numMasks; mask++) {
+            if (onProgress && (mask & (PROGRESS_INTERVAL - 1)) === 0) {
+                onProgress({ stage: 'solve', masksDone: mask, masksTotal: numMasks });
+            }
+
+            for (let last = 0; last < n; last++) {
+                if (!(mask & (1 << last))) continue;
+
+                const idx = mask * n + last;
+                const currentTime = dp[idx];
+
+                if (currentTime >= INF) continue;
+
+                // Try extending to each unvisited checkpoint
+                for (let next = 0; next < n; next++) {
+                    if (mask & (1 << next)) continue;
+
+                    const fromCp = visitableCps[last];
+                    const toCp = visitableCps[next];
+                    const travelTime = getTravelTime(distances, fromCp.name, toCp.name, config, currentTime);
+
+                    if (travelTime === INF) continue;
+
+                    const arriveTime = currentTime + travelTime;
+                    const waitTime = getWaitTime(arriveTime, toCp.openSlots);
+
+                    if (waitTime === INF) continue;
+
+                    const departTime = arriveTime + waitTime + dwellTime;
+                    const newMask = mask | (1 << next);
+                    const newIdx = newMask * n + next;
+
+                    if (departTime < dp[newIdx]) {
+                        dp[newIdx] = departTime;
+                        parent[newIdx] = idx;
+                    }
+                }
+            }
+        }
+
+        if (onProgress) {
+            onProgress({ stage: 'solve', masksDone: numMasks, masksTotal: numMasks });
+        }
+
+        // Find the best final states that can reach finish in time
+        // Each distinct (mask, last) state gives a distinct route
+        const limit = Math.max(1, alternatives || 1);
+        const candidates = [];
+
+        for (let mask = 0; mask < numMasks; mask++) {
+            if ((mask & requiredMask) !== requiredMask) continue;
+
+            const count = popCount(mask);
+            const value = maskScores ? maskScores[mask] : count;
+
+            for (let last = 0; last < n; last++) {
+                if (!(mask & (1 << last))) continue;
+
+                const idx = mask * n + last;
+                const currentTime = dp[idx];
+
+                if (currentTime >= INF) continue;
+
+                const fromCp = visitableCps[last];
+                const travelTime = getTravelTime(distances, fromCp.name, finishCp?.name, config, currentTime);
+
+                if (travelTime === INF) continue;
+
+                const finishTime = currentTime + travelTime;
+
+                // Check if we can finish within the window
+                if (finishTime <= finishWindow.close) {
+                    addCandidate(candidates, { value, count, finishTime, mask, last }, limit);
+                }
+            }
+        }
+
+        if (candidates.length === 0) {
+            return noRouteResult(ctx);
+        }
+
+        // Reconstruct routes, best first
+        const routes = candidates.map(candidate => {
+            const route = reconstructRoute(parent, visitableCps, candidate.mask, candidate.last, n, startCp, finishCp);
+            const { totalDistance, totalHeight } = calculateRouteTotals(route, distances);
+
+            return {
+                count: candidate.count,
+                totalScore: calculateRouteScore(route, checkpoints, scores),
+                route,
+                finishTime: candidate.finishTime,
+                totalDistance,
+                totalHeight
+            };
+        });
+
+        return {
+            ...routes[0],
+            alternatives: routes,
+            engine: ENGINES.EXACT,
+            heuristic: false,
+            upperBound: candidates[0].value,
+            optimalityGap: 0
+        };
+    }
+
+    /**
+     * Heuristic solver for checkpoint sets too large for the DP
+     * Beam search over partial routes, then insertion/relocation local search
+     * on the finished routes. Reports an upper bound so the gap to optimal is known.
+     */
+    function solveHeuristic(ctx) {
+        const { data, config, visitableCps, startCp, finishCp, requiredIndices } = ctx;
+        const { checkpoints, distances } = data;
+        const { onProgress, scores, alternatives } = config;
+        const n = visitableCps.length;
+        const width = config.beamWidth || DEFAULT_BEAM_WIDTH;
+        const limit = Math.max(1, alternatives || 1);
+
+        // Finished routes, keyed by route so each is kept once
+        const finished = new Map();
+        const recordFinished = (order) => {
+            const key = order.join(',');
+            if (finished.has(key)) return;
+
+            const evaluation = evaluateOrder(ctx, order);
+            if (evaluation && coversRequired(order, requiredIndices)) {
+                finished.set(key, { order, ...evaluation });
+            }
+        };
+
+        let beam = [{ order: [], visited: new Uint8Array(n), time: ctx.startTime, value: 0 }];
+        recordFinished([]);
+
+        for (let depth = 0; depth < n && beam.length > 0; depth++) {
+            if (onProgress) {
+                onProgress({ stage: 'heuristic', depth, maxDepth: n });
+            }
+
+            // Expand every state by one checkpoint, keeping the earliest state per (visited set, last)
+            const children = new Map();
+
+            for (const state of beam) {
+                const last = state.order.length > 0 ? state.order[state.order.length - 1] : -1;
+
+                for (let next = 0; next < n; next++) {
+                    if (state.visited[next]) continue;
+
+                    const departTime = departAfterVisit(ctx, last, next, state.time);
+                    if (departTime === INF) continue;
+
+                    // Prune states that can no longer reach the finish in time
+                    if (finishTimeFrom(ctx, next, departTime) > data.finishWindow.close) continue;
+
+                    const visited = state.visited.slice();
+                    visited[next] = 1;
+                    const key = `${visited.join('')}|${next}`;
+                    const existing = children.get(key);
+
+                    if (!existing || departTime < existing.time) {
+                        children.set(key, {
+                            order: state.order.concat(next),
+                            visited,
+                            time: departTime,
+                            value: state.value + checkpointValue(ctx, next)
+                        });
+                    }
+                }
+            }
+
+            // Keep the most valuable states, earliest first on ties
+            beam = Array.from(children.values())
+                .sort((a, b) => (b.value - a.value) || (a.time - b.time))
+                .slice(0, width);
+
+            for (const state of beam) {
+                recordFinished(state.order);
+            }
+        }
+
+        if (onProgress) {
+            onProgress({ stage: 'heuristic', depth: n, maxDepth: n });
+        }
+
+        // Polish the best few routes with local search
+        const ranked = Array.from(finished.values()).sort((a, b) => compareEvaluations(a, b));
+        for (const entry of ranked.slice(0, Math.max(limit, LOCAL_SEARCH_ROUTES))) {
+            recordFinished(improveOrder(ctx, entry.order));
+        }
+
+        const best = Array.from(finished.values())
+            .sort((a, b) => compareEvaluations(a, b))
+            .slice(0, limit);
+
+        if (best.length === 0) {
+            return noRouteResult(ctx);
+        }
+
+        const routes = best.map(entry => {
+            const route = [startCp?.name || 'Start', ...entry.order.map(i => visitableCps[i].name), finishCp?.name || 'Finish'];
+            const { totalDistance, totalHeight } = calculateRouteTotals(route, distances);
+
+            return {
+                count: entry.count,
+                totalScore: calculateRouteScore(route, checkpoints, scores),
+                route,
+                finishTime: entry.finishTime,
+                totalDistance,
+                totalHeight
+            };
+        });
+
+        const upperBound = heuristicUpperBound(ctx);
+
+        return {
+            ...routes[0],
+            alternatives: routes,
+            engine: ENGINES.HEURISTIC,
+            heuristic: true,
+            upperBound,
+            optimalityGap: Math.max(0, upperBound - best[0].value)
+        };
+    }
+
+    /**
+     * Local search: insert unvisited checkpoints where they fit, and relocate
+     * visited ones when that finishes earlier (making room for more insertions)
+     */
+    function improveOrder(ctx, order) {
+        const n = ctx.visitableCps.length;
+        let current = order.slice();
+        let currentEval = evaluateOrder(ctx, current);
+
+        for (let pass = 0; pass < MAX_LOCAL_SEARCH_PASSES && currentEval; pass++) {
+            let improved = false;
+
+            // Insertion: add the most valuable checkpoint that fits anywhere
+            const unvisited = [];
+            for (let i = 0; i < n; i++) {
+                if (!current.includes(i)) unvisited.push(i);
+            }
+            unvisited.sort((a, b) => checkpointValue(ctx, b) - checkpointValue(ctx, a));
+
+            for (const cp of unvisited) {
+                let bestOrder = null;
+                let bestEval = null;
+
+                for (let pos = 0; pos <= current.length; pos++) {
+                    const candidate = current.slice(0, pos).concat(cp, current.slice(pos));
+                    const evaluation = evaluateOrder(ctx, candidate);
+
+                    if (evaluation && (!bestEval || evaluation.finishTime < bestEval.finishTime)) {
+                        bestOrder = candidate;
+                        bestEval = evaluation;
+                    }
+                }
+
+                if (bestEval && compareEvaluations(bestEval, currentEval) < 0) {
+                    current = bestOrder;
+                    currentEval = bestEval;
+                    improved = true;
+                    break;
+                }
+            }
+
+            if (improved) continue;
+
+            // Relocation: move one checkpoint if the route finishes earlier
+            for (let from = 0; from < current.length && !improved; from++) {
+                const without = current.slice(0, from).concat(current.slice(from + 1));
+
+                for (let pos = 0; pos <= without.length; pos++) {
+                    if (pos === from) continue;
+
+                    const candidate = without.slice(0, pos).concat(current[from], without.slice(pos));
+                    const evaluation = evaluateOrder(ctx, candidate);
+
+                    if (evaluation && evaluation.finishTime < currentEval.finishTime - 1e-9) {
+                        current = candidate;
+                        currentEval = evaluation;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+
+        return current;
+    }
+
+    /**
+     * Replay an order of visitable checkpoint indices
+     * @returns {Object|null} {finishTime, count, value} or null if it misses a window or the finish
+     */
+    function evaluateOrder(ctx, order) {
+        let time = ctx.startTime;
+        let last = -1;
+        let value = 0;
+
+        for (const next of order) {
+            time = departAfterVisit(ctx, last, next, time);
+            if (time === INF) return null;
+
+            value += checkpointValue(ctx, next);
+            last = next;
+        }
+
+        const finishTime = finishTimeFrom(ctx, last, time);
+        if (finishTime > ctx.data.finishWindow.close) return null;
+
+        return { finishTime, count: order.length, value };
+    }
+
+    /**
+     * Departure time after travelling from last (-1 = start) to next and visiting it
+     */
+    function departAfterVisit(ctx, last, next, time) {
+        const { data, config, visitableCps, startCp } = ctx;
+        const fromName = last < 0 ? startCp?.name : visitableCps[last].name;
+        const toCp = visitableCps[next];
+
+        const travelTime = getTravelTime(data.distances, fromName, toCp.name, config, time);
+        if (travelTime === INF) return INF;
+
+        const arriveTime = time + travelTime;
+        const waitTime = getWaitTime(arriveTime, toCp.openSlots);
+        if (waitTime === INF) return INF;
+
+        return arriveTime + waitTime + config.dwellTime;
+    }
+
+    /**
+     * Arrival time at the finish leaving last (-1 = start) at time
+     */
+    function finishTimeFrom(ctx, last, time) {
+        const { data, config, visitableCps, startCp, finishCp } = ctx;
+        const fromName = last < 0 ? startCp?.name : visitableCps[last].name;
+        const travelTime = getTravelTime(data.distances, fromName, finishCp?.name, config, time);
+
+        return travelTime === INF ? INF : time + travelTime;
+    }
+
+    /**
+     * Objective value of one checkpoint (its score, or 1 when counting)
+     */
+    function checkpointValue(ctx, index) {
+        return ctx.config.objective === 'score' ? ctx.visitableCps[index].score : 1;
+    }
+
+    /**
+     * Upper bound on the objective, used to report the heuristic's optimality gap
+     * Each visit costs at least its cheapest incoming leg plus dwell, so the
+     * bound is a (fractional) knapsack of those costs into the available time
+     */
+    function heuristicUpperBound(ctx) {
+        const { data, config, visitableCps, startCp, finishCp, startTime } = ctx;
+        const { distances } = data;
+        const fastest = TravelModel.maxSpeedFactor(config.speedProfile);
+        const legLowerBound = (from, to) => getTravelTime(distances, from, to, config) / fastest;
+
+        const items = [];
+        let minFinishLeg = INF;
+
+        for (let i = 0; i < visitableCps.length; i++) {
+            // Only checkpoints that can be visited on their own can appear in any route
+            if (!evaluateOrder(ctx, [i])) continue;
+
+            const name = visitableCps[i].name;
+            let minLeg = legLowerBound(startCp?.name, name);
+            for (const other of visitableCps) {
+                if (other.name !== name) {
+                    minLeg = Math.min(minLeg, legLowerBound(other.name, name));
+                }
+            }
+
+            minFinishLeg = Math.min(minFinishLeg, legLowerBound(name, finishCp?.name));
+            items.push({ value: checkpointValue(ctx, i), cost: minLeg + config.dwellTime });
+        }
+
+        let budget = data.finishWindow.close - startTime - minFinishLeg;
+        let bound = 0;
+
+        items.sort((a, b) => (b.value / b.cost) - (a.value / a.cost));
+        for (const item of items) {
+            if (budget <= 0) break;
+
+            if (item.cost <= budget) {
+                bound += item.value;
+                budget -= item.cost;
+            } else {
+                bound += item.value * budget / item.cost;
+                budget = 0;
+            }
+        }
+
+        // Counts are whole numbers
+        return config.objective === 'score' ? bound : Math.floor(bound);
+    }
+
+    /**
+     * Check that an order includes every required checkpoint
+     */
+    function coversRequired(order, requiredIndices) {
+        return requiredIndices.every(i => order.includes(i));
+    }
+
+    /**
+     * Sort comparator for evaluated routes, best first
+     */
+    function compareEvaluations(a, b) {
+        if (isBetterCandidate(a, b)) return -1;
+        if (isBetterCandidate(b, a)) return 1;
+        return 0;
+    }
+
+    /**
+     * Result when no route through any checkpoint reaches the finish in time
+     * Explains the required checkpoints when they are the reason
+     */
+    function noRouteResult(ctx) {
+        const { data, config, visitableCps, startCp, finishCp, startTime, requiredIndices } = ctx;
+        const { distances } = data;
+
+        // Required checkpoints could not all be fitted into one route
+        if (requiredIndices.length > 0) {
+            const unreachable = findUnreachableRequired(data, config, visitableCps, requiredIndices, startCp, finishCp, startTime);
+            const required = requiredIndices.map(i => visitableCps[i].name);
+            const message = unreachable.length > 0
+                ? `Required checkpoints cannot be reached in time: ${unreachable.join(', ')}`
+                : `Required checkpoints cannot all be visited before the finish closes: ${required.join(', ')}`;
+
+            return infeasibleResult(data, startTime, startCp, finishCp, message);
+        }
+
+        // Handle case where no checkpoints can be visited
+        const directTime = getTravelTime(distances, startCp?.name, finishCp?.name, config, startTime);
+        return {
+            count: 0,
+            totalScore: 0,
+            route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
+            finishTime: startTime + directTime,
+            totalDistance: getDistanceValue(distances, startCp?.name, finishCp?.name),
+            totalHeight: getHeightValue(distances, startCp?.name, finishCp?.name)
+        };
+    }
+
+    /**
+     * Find minimum speed to visit all included checkpoints
+     * @param {Object} data - Loaded year data
+     * @param {Object} config - {dwellTime, excludedCps, requiredCps, onProgress}
+     * @returns {Object} {speed, route, finishTime} or {speed: null} if impossible
+     */
+    function findMinSpeed(data, config) {
+        const { checkpoints, excludedCps, onProgress } = config;
+
+        // Count expected checkpoints
+        let expectedCount = 0;
+        for (const [name, cp] of data.checkpoints) {
+            if (cp.isStart || cp.isFinish) continue;
+            if (excludedCps && excludedCps.has(name)) continue;
+            expectedCount++;
+        }
+
+        if (expectedCount === 0) {
+            return { speed: 3.0, route: [], finishTime: 0 };
+        }
+
+        // Binary search for minimum speed
+        let low = 3.0;
+        let high = 10.0;
+        let bestResult = null;
+
+        // Number of halvings plus the final check
+        const iterations = Math.ceil(Math.log2((high - low) / 0.05)) + 1;
+        let iteration = 0;
+
+        const solveAt = (speed) => {
+            iteration++;
+            const progress = onProgress && ((p) => onProgress({ ...p, stage: 'minSpeed', iteration, iterations, speed }));
+            return solve(data, { ...config, speed, onProgress: progress });
+        };
+
+        while (high - low > 0.05) {
+            const mid = (low + high) / 2;
+            const result = solveAt(mid);
+
+            if (result.count >= expectedCount) {
+                bestResult = { ...result, speed: mid };
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        // Final check with high value
+        const finalResult = solveAt(high);
+        if (finalResult.count >= expectedCount) {
+            return { ...finalResult, speed: Math.round(high * 10) / 10 };
+        }
+
+        return bestResult || { speed: null, message: 'Cannot visit all checkpoints even at max speed' };
+    }
+
+    /**
+     * Check whether candidate a beats candidate b
+     * Prefers higher objective value, then more checkpoints, then earlier finish
+     */
+    function isBetterCandidate(a, b) {
+        if (a.value !== b.value) return a.value > b.value;
+        if (a.count !== b.count) return a.count > b.count;
+        return a.finishTime < b.finishTime;
+    }
+
+    /**
+     * Insert a candidate into a best-first list capped at limit entries
+     */
+    function addCandidate(candidates, candidate, limit) {
+        if (candidates.length === limit && !isBetterCandidate(candidate, candidates[limit - 1])) {
+            return;
+        }
+
+        let pos = candidates.length;
+        while (pos > 0 && isBetterCandidate(candidate, candidates[pos - 1])) {
+            pos--;
+        }
+
+        candidates.splice(pos, 0, candidate);
+        if (candidates.length > limit) {
+            candidates.pop();
+        }
+    }
+
+    /**
+     * Build the result returned when the required checkpoints cannot all be visited
+     */
+    function infeasibleResult(data, startTime, startCp, finishCp, message) {
+        return {
+            infeasible: true,
+            message,
+            count: 0,
+            totalScore: 0,
+            route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
+            finishTime: startTime,
+            totalDistance: getDistanceValue(data.distances, startCp?.name, finishCp?.name),
+            totalHeight: getHeightValue(data.distances, startCp?.name, finishCp?.name)
+        };
+    }
+
+    /**
+     * Find required checkpoints that cannot be visited even on their own
+     * (Start -> checkpoint -> Finish misses an opening or the finish window)
+     */
+    function findUnreachableRequired(data, config, visitableCps, requiredIndices, startCp, finishCp, startTime) {
+        const { finishWindow, distances } = data;
+        const { dwellTime } = config;
+        const unreachable = [];
+
+        for (const i of requiredIndices) {
+            const cp = visitableCps[i];
+            const arriveTime = startTime + getTravelTime(distances, startCp?.name, cp.name, config, startTime);
+            const departTime = arriveTime + getWaitTime(arriveTime, cp.openSlots) + dwellTime;
+            const finishTime = departTime + getTravelTime(distances, cp.name, finishCp?.name, config, departTime);
+
+            if (finishTime > finishWindow.close) {
+                unreachable.push(cp.name);
+            }
+        }
+
+        return unreachable;
+    }
+
+    /**
+     * Get score for a checkpoint
+     * Config overrides take precedence over the score from the openings CSV
+     * @param {string} name - Checkpoint name
+     * @param {Map} checkpoints - Checkpoint map from year data
+     * @param {Map} scores - Optional map of name -> score overrides
+     */
+    function getCheckpointScore(name, checkpoints, scores) {
+        const override = scores?.get(name);
+        if (typeof override === 'number' && !isNaN(override)) return override;
+
+        const cp = checkpoints?.get(name);
+        if (!cp || cp.isStart || cp.isFinish) return 0;
+
+        return typeof cp.score === 'number' ? cp.score : DEFAULT_SCORE;
+    }
+
+    /**
+     * Get travel time between two checkpoints in minutes
+     * @param {Object} config - {speed, travelModel, naismithMinutes, fitness, speedProfile}
+     * @param {number} departTime - Departure time, used by the speed profile
+     */
+    function getTravelTime(distances, from, to, config, departTime) {
+        if (!from || !to || !config?.speed) return INF;
+
+        const key = `${from}|${to}`;
+        const dist = distances?.get(key);
+
+        if (!dist) return INF;
+
+        return TravelModel.legMinutes(dist.distance, dist.heightGain, config, departTime);
+    }
+
+    /**
+     * Get distance value between two checkpoints
+     */
+    function getDistanceValue(distances, from, to) {
+        if (!from || !to) return 0;
+
+        const key = `${from}|${to}`;
+        const dist = distances?.get(key);
+
+        return dist ? dist.distance : 0;
+    }
+
+    /**
+     * Get height gain between two checkpoints
+     */
+    function getHeightValue(distances, from, to) {
+        if (!from || !to) return 0;
+
+        const key = `${from}|${to}`;
+        const dist = distances?.get(key);
+
+        return dist ? dist.heightGain : 0;
+    }
+
+    /**
+     * Get wait time until checkpoint opens
+     * Returns INF if checkpoint is closed and won't open
+     */
+    function getWaitTime(arriveTime, openSlots) {
+        if (!openSlots || openSlots.length === 0) {
+            return 0; // No restrictions
+        }
+
+        for (const slot of openSlots) {
+            // If we arrive during an open slot
+            if (arriveTime >= slot.open && arriveTime <= slot.close) {
+                return 0;
+            }
+
+            // If we arrive before the slot opens
+            if (arriveTime < slot.open) {
+                return slot.open - arriveTime;
+            }
+        }
+
+        // All slots have closed
+        return INF;
+    }
+
+    /**
+     * Reconstruct route from DP parent pointers
+     */
+    function reconstructRoute(parent, visitableCps, mask, last, n, startCp, finishCp) {
+        const route = [];
+
+        let currentMask = mask;
+        let currentLast = last;
+
+        while (currentLast >= 0) {
+            route.unshift(visitableCps[currentLast].name);
+
+            const idx = currentMask * n + currentLast;
+            const prevIdx = parent[idx];
+
+            if (prevIdx === -2) {
+                // Came from start
+                break;
+            }
+
+            if (prevIdx < 0) break;
+
+            // Decode previous state
+            const prevMask = Math.floor(prevIdx / n);
+            const prevLast = prevIdx % n;
+
+            currentMask = prevMask;
+            currentLast = prevLast;
+        }
+
+        // Add start and finish
+        route.unshift(startCp?.name || 'Start');
+        route.push(finishCp?.name || 'Finish');
+
+        return route;
+    }
+
+    /**
+     * Calculate total distance and height for a route
+     */
+    function calculateRouteTotals(route, distances) {
+        let totalDistance = 0;
+        let totalHeight = 0;
+
+        for (let i = 0; i < route.length - 1; i++) {
+            const from = route[i];
+            const to = route[i + 1];
+            const key = `${from}|${to}`;
+            const dist = distances?.get(key);
+
+            if (dist) {
+                totalDistance += dist.distance;
+                totalHeight += dist.heightGain || 0;
+            }
+        }
+
+        return {
+            totalDistance: Math.round(totalDistance * 10) / 10,
+            totalHeight: Math.round(totalHeight)
+        };
+    }
+
+    /**
+     * Calculate total score for a route
+     */
+    function calculateRouteScore(route, checkpoints, scores) {
+        let total = 0;
+        for (const name of route) {
+            total += getCheckpointScore(name, checkpoints, scores);
+        }
+        return total;
+    }
+
+    /**
+     * Precompute total score for every mask
+     * Each mask adds its lowest checkpoint to the mask without it
+     */
+    function buildMaskScores(visitableCps, numMasks) {
+        const maskScores = new Float64Array(numMasks);
+
+        for (let mask = 1; mask < numMasks; mask++) {
+            const lowBit = mask & -mask;
+            const index = 31 - Math.clz32(lowBit);
+            maskScores[mask] = maskScores[mask ^ lowBit] + visitableCps[index].score;
+        }
+
+        return maskScores;
+    }
+
+    /**
+     * Count set bits in a number (population count)
+     */
+    function popCount(n) {
+        let count = 0;
+        while (n) {
+            count += n & 1;
+            n >>= 1;
+        }
+        return count;
+    }
+
+    // Public API
+    return {
+        solve,
+        findMinSpeed,
+        getTravelTime,
+        getWaitTime,
+        getCheckpointScore,
+        ENGINES,
+        EXACT_LIMIT
+    };
+})();
@@ -0,0 +1,93 @@
+/**
+ * DoveTrek Exact Limit Check
+ * Checks that the exact solver allocates its tables at Solver.MAX_EXACT_CHECKPOINTS (about 0.7 GB),
+ * that asking for it above that (one fewer with a rest break) fails with the intended error before
+ * any tables are allocated, and that auto mode falls back to the heuristic there instead.
+ *
+ * Usage (from the repository root):
+ *   node bench/exact-limit-check.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const REST_BREAK = { mode: 'window', duration: 30, earliest: 720, latest: 840 };
+
+/**
+ * Load browser modules in order, returning their globals
+ */
+function loadModules(files) {
+    const modules = {};
+    for (const [name, file] of files) {
+        const names = Object.keys(modules);
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        modules[name] = new Function(...names, `${source}\nreturn ${name};`)(...names.map(key => modules[key]));
+    }
+    return modules;
+}
+
+/**
+ * Synthetic event: n checkpoints open all day, with no distance data so that
+ * a solve the limit lets through allocates its tables but has no routes to search
+ */
+function syntheticEvent(n) {
+    const checkpoints = new Map();
+    checkpoints.set('Start', { name: 'Start', isStart: true, openSlots: [{ open: 600, close: 630 }] });
+    for (let i = 1; i <= n; i++) {
+        checkpoints.set(`CP${i}`, { name: `CP${i}`, openSlots: [{ open: 600, close: 1020 }], score: null });
+    }
+    checkpoints.set('Finish', { name: 'Finish', isFinish: true, openSlots: [{ open: 960, close: 1020 }] });
+
+    return { checkpoints, startTime: 600, finishWindow: { open: 960, close: 1020 }, distances: new Map() };
+}
+
+/**
+ * Solve and report the error thrown, or null if it solved
+ */
+function solveError(Solver, n, config) {
+    try {
+        Solver.solve(syntheticEvent(n), { speed: 4.5, dwellTime: 7, excludedCps: new Set(), ...config });
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+function main() {
+    const { Solver } = loadModules([
+        ['CSVParser', 'csv-parser.js'],
+        ['TravelModel', 'travel-model.js'],
+        ['Constraints', 'constraints.js'],
+        ['Solver', 'solver.js']
+    ]);
+
+    const max = Solver.MAX_EXACT_CHECKPOINTS;
+    const failures = [];
+    const expectLimit = (n, config, label) => {
+        const message = solveError(Solver, n, config);
+        if (!message || !message.startsWith('Too many checkpoints for the exact solver')) {
+            failures.push(`${label}: expected the exact solver limit error, got ${message || 'a result'}`);
+        }
+    };
+
+    const exactError = solveError(Solver, max, { engine: 'exact' });
+    if (exactError) failures.push(`${max} checkpoints: ${exactError}`);
+
+    expectLimit(max + 1, { engine: 'exact' }, `${max + 1} checkpoints`);
+    expectLimit(max, { engine: 'exact', restBreak: REST_BREAK }, `${max} checkpoints with a break`);
+
+    const autoError = solveError(Solver, max + 1, { engine: 'auto' });
+    if (autoError) failures.push(`${max + 1} checkpoints in auto mode: ${autoError}`);
+
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(failure));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Exact solver runs at ${max} checkpoints and refuses ${max + 1} (${max} with a break); ` +
+        'auto mode uses the heuristic');
+}
+
+main();
@@ -0,0 +1,136 @@
+/**
+ * DoveTrek Omission Check
+ * Solves synthetic events with route rules and checks why skipped checkpoints are said to be skipped:
+ * checkpoints in a pair rule are explained together with their partner, and the rules are only
+ * blamed when they are what keeps a checkpoint off the route.
+ *
+ * Usage (from the repository root):
+ *   node bench/omission-check.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SEEDS = [1, 2, 3, 4, 5];
+const SPEEDS = [3.0, 4.5];
+const CHECKPOINTS = 12;
+
+/**
+ * Load browser modules in order, returning their globals
+ */
+function loadModules(files) {
+    const modules = {};
+    for (const [name, file] of files) {
+        const names = Object.keys(modules);
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        modules[name] = new Function(...names, `${source}\nreturn ${name};`)(...names.map(key => modules[key]));
+    }
+    return modules;
+}
+
+/**
+ * Deterministic synthetic event: checkpoints scattered over 8 x 8 km,
+ * some with a two-hour opening slot
+ */
+function syntheticEvent(n, seed) {
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+    const checkpoints = new Map();
+    const points = new Map();
+
+    checkpoints.set('Start', { name: 'Start', isStart: true, openSlots: [{ open: 600, close: 630 }] });
+    points.set('Start', [0, 0]);
+
+    for (let i = 1; i <= n; i++) {
+        const name = `CP${i}`;
+        const open = 600 + Math.floor(random() * 8) * 30;
+        const openSlots = random() < 0.3 ? [{ open, close: open + 120 }] : [{ open: 600, close: 1020 }];
+        checkpoints.set(name, { name, openSlots, score: null });
+        points.set(name, [random() * 8 - 4, random() * 8 - 4]);
+    }
+
+    checkpoints.set('Finish', { name: 'Finish', isFinish: true, openSlots: [{ open: 960, close: 1020 }] });
+    points.set('Finish', [0.5, 0.5]);
+
+    const distances = new Map();
+    for (const [from, a] of points) {
+        for (const [to, b] of points) {
+            if (from === to) continue;
+            const distance = Math.round((Math.hypot(a[0] - b[0], a[1] - b[1]) * 1.3 + 0.2) * 100) / 100;
+            distances.set(`${from}|${to}`, { from, to, distance, heightGain: Math.round(random() * 150), source: 'synthetic' });
+        }
+    }
+
+    return { checkpoints, startTime: 600, finishWindow: { open: 960, close: 1020 }, distances };
+}
+
+/**
+ * A pair rule only joins its checkpoints, so a skipped pair is never the rule's fault
+ * @returns {Array} Failure messages
+ */
+function checkPair(Solver, data, speed, label) {
+    const constraints = [{ type: 'pair', from: 'CP1', to: 'CP2' }];
+    const result = Solver.solve(data, { speed, dwellTime: 7, excludedCps: new Set(), constraints });
+    const members = result.omitted.filter(item => item.name === 'CP1' || item.name === 'CP2');
+
+    const failures = members
+        .filter(item => item.reason === Solver.OMISSION_REASONS.RULES)
+        .map(item => `${label}: ${item.name} blamed on the pair rule`);
+    if (members.length === 2 && members[0].reason !== members[1].reason) {
+        failures.push(`${label}: CP1 and CP2 explained differently (${members[0].reason}, ${members[1].reason})`);
+    }
+    return failures;
+}
+
+/**
+ * A 'before' rule whose later checkpoint is already visited rules its earlier one out
+ * @returns {Array} Failure messages
+ */
+function checkBefore(Solver, data, label) {
+    const result = Solver.solve(data, {
+        speed: 4.5,
+        dwellTime: 7,
+        excludedCps: new Set(),
+        startFrom: 'CP5',
+        startTime: 640,
+        visitedCps: new Set(['CP5']),
+        constraints: [{ type: 'before', from: 'CP3', to: 'CP5' }]
+    });
+
+    const item = result.omitted.find(omitted => omitted.name === 'CP3');
+    if (!item || item.reason !== Solver.OMISSION_REASONS.RULES || item.rules.length === 0) {
+        return [`${label}: CP3 not blamed on its 'before' rule (${item ? item.reason : 'on the route'})`];
+    }
+    return [];
+}
+
+function main() {
+    const { Solver } = loadModules([
+        ['CSVParser', 'csv-parser.js'],
+        ['TravelModel', 'travel-model.js'],
+        ['Constraints', 'constraints.js'],
+        ['Solver', 'solver.js']
+    ]);
+
+    const failures = [];
+
+    for (const seed of SEEDS) {
+        const data = syntheticEvent(CHECKPOINTS, seed);
+        for (const speed of SPEEDS) {
+            failures.push(...checkPair(Solver, data, speed, `seed ${seed} at ${speed} km/h`));
+        }
+        failures.push(...checkBefore(Solver, data, `seed ${seed}`));
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(failure));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Skipped checkpoints explained for ${SEEDS.length} events with pair and 'before' rules`);
+}
+
+main();
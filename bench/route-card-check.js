@@ -0,0 +1,177 @@
+/**
+ * DoveTrek Route Card Check
+ * Builds route cards for solved routes and every prefix of them, then re-plans the rest of each
+ * route from a later start, or after a what-if delay, and joins the prefix and remainder cards as the app does.
+ * Checks that complete routes get slack, never negative on time, with and without a speed table,
+ * and prefixes build without it.
+ *
+ * Usage (from the repository root):
+ *   node bench/route-card-check.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SEEDS = [1, 2, 3, 4, 5];
+const CHECKPOINTS = 10;
+
+// Speed table whose speed rises as well as falls, so leaving later can arrive earlier
+const SPEED_TABLE = {
+    type: 'table',
+    table: [
+        { time: 630, percent: 70 }, { time: 700, percent: 130 }, { time: 760, percent: 60 },
+        { time: 820, percent: 120 }, { time: 900, percent: 50 }
+    ]
+};
+
+/**
+ * Load browser modules in order, returning their globals
+ */
+function loadModules(files) {
+    const modules = {};
+    for (const [name, file] of files) {
+        const names = Object.keys(modules);
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        modules[name] = new Function(...names, `${source}\nreturn ${name};`)(...names.map(key => modules[key]));
+    }
+    return modules;
+}
+
+/**
+ * Deterministic synthetic event: checkpoints scattered over 8 x 8 km,
+ * some with a two-hour opening slot
+ */
+function syntheticEvent(n, seed) {
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+    const checkpoints = new Map();
+    const points = new Map();
+
+    checkpoints.set('Start', { name: 'Start', isStart: true, openSlots: [{ open: 600, close: 630 }] });
+    points.set('Start', [0, 0]);
+
+    for (let i = 1; i <= n; i++) {
+        const name = `CP${i}`;
+        const open = 600 + Math.floor(random() * 8) * 30;
+        const openSlots = random() < 0.3 ? [{ open, close: open + 120 }] : [{ open: 600, close: 1020 }];
+        checkpoints.set(name, { name, openSlots, score: null });
+        points.set(name, [random() * 8 - 4, random() * 8 - 4]);
+    }
+
+    checkpoints.set('Finish', { name: 'Finish', isFinish: true, openSlots: [{ open: 960, close: 1020 }] });
+    points.set('Finish', [0.5, 0.5]);
+
+    const distances = new Map();
+    for (const [from, a] of points) {
+        for (const [to, b] of points) {
+            if (from === to) continue;
+            const distance = Math.round((Math.hypot(a[0] - b[0], a[1] - b[1]) * 1.3 + 0.2) * 100) / 100;
+            distances.set(`${from}|${to}`, { from, to, distance, heightGain: Math.round(random() * 150), source: 'synthetic' });
+        }
+    }
+
+    return { checkpoints, startTime: 600, finishWindow: { open: 960, close: 1020 }, distances };
+}
+
+/**
+ * Re-plan from the second checkpoint and join the cards like App's applyRemainder
+ * @param {number} delay - What-if minutes lost at the second checkpoint, or 0 to re-plan leaving 15 minutes late
+ * @returns {Array} Failure messages
+ */
+function checkRemainder(Solver, RouteCard, data, config, result, label, delay) {
+    if (result.route.length < 4) return [];
+
+    const prefix = result.route.slice(0, 3);
+    if (delay > 0) {
+        config = { ...config, delays: new Map([[prefix[prefix.length - 1], delay]]) };
+        label = `${label}, ${delay} min delay`;
+    }
+
+    const planned = RouteCard.build(result.route, data, config);
+    const startTime = delay > 0 ? planned[1].readyTime : planned[1].readyTime + 15;
+
+    const remainder = Solver.solve(data, {
+        ...config,
+        startFrom: prefix[prefix.length - 1],
+        startTime,
+        visitedCps: new Set(prefix),
+        alternatives: 1
+    });
+    if (remainder.infeasible) return [];
+
+    try {
+        const prefixLegs = RouteCard.build(prefix, data, config);
+        const legs = prefixLegs.concat(RouteCard.build(remainder.route, data, { ...config, startTime }));
+        RouteCard.summarize(legs);
+        RouteCard.renderTableRows(legs);
+
+        const last = legs[legs.length - 1];
+        if (!last.isFinish || typeof last.slack !== 'number') return [`${label}: re-planned route has no slack to the finish`];
+        if (prefixLegs[prefixLegs.length - 1].delay !== delay) return [`${label}: delay lost from the prefix`];
+        return [];
+    } catch (err) {
+        return [`${label}: re-planned route card failed: ${err.message}`];
+    }
+}
+
+function main() {
+    const { Solver, RouteCard } = loadModules([
+        ['CSVParser', 'csv-parser.js'],
+        ['TravelModel', 'travel-model.js'],
+        ['Constraints', 'constraints.js'],
+        ['Solver', 'solver.js'],
+        ['RouteCard', 'route-card.js']
+    ]);
+
+    const failures = [];
+
+    for (const seed of SEEDS) {
+        const data = syntheticEvent(CHECKPOINTS, seed);
+        const config = { speed: 4.5, dwellTime: 7, excludedCps: new Set(), delays: new Map() };
+        const result = Solver.solve(data, config);
+        const label = `seed ${seed}`;
+
+        const legs = RouteCard.build(result.route, data, config);
+        if (!legs.every(leg => typeof leg.slack === 'number')) {
+            failures.push(`${label}: complete route is missing slack`);
+        }
+
+        for (let end = 1; end < result.route.length - 1; end++) {
+            try {
+                const prefixLegs = RouteCard.build(result.route.slice(0, end + 1), data, config);
+                RouteCard.summarize(prefixLegs);
+                RouteCard.renderTableRows(prefixLegs);
+            } catch (err) {
+                failures.push(`${label}: prefix of ${end} leg(s) failed: ${err.message}`);
+            }
+        }
+
+        failures.push(...checkRemainder(Solver, RouteCard, data, config, result, label, 0));
+        failures.push(...checkRemainder(Solver, RouteCard, data, config, result, label, 20));
+
+        // Both engines' routes under the speed table reach the finish in time, so no leg can be short of time
+        for (const engine of ['exact', 'heuristic']) {
+            const tableConfig = { ...config, speedProfile: SPEED_TABLE, engine };
+            const tableResult = Solver.solve(data, tableConfig);
+            const tableLegs = RouteCard.build(tableResult.route, data, tableConfig);
+            const short = tableLegs.filter(leg => !(leg.slack >= -1e-6));
+            if (short.length > 0) {
+                failures.push(`${label}, speed table, ${engine}: negative slack arriving at ` +
+                    short.map(leg => `${leg.to} (${leg.slack.toFixed(2)} min)`).join(', '));
+            }
+        }
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(failure));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Route cards built for ${SEEDS.length} routes, all their prefixes and re-planned remainders, ` +
+        'with and without a delay, and with a speed table');
+}
+
+main();
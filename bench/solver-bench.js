@@ -0,0 +1,164 @@
+/**
+ * DoveTrek Solver Benchmark
+ * Times the current solver against an earlier one and checks that both find
+ * routes of the same quality.
+ *
+ * Usage (from the repository root):
+ *   node bench/solver-bench.js [--baseline=<git rev>] [--openings=<csv> --distances=<csv>] [--runs=3]
+ *
+ * Without CSV files, synthetic events of several sizes are generated.
+ * The baseline defaults to bench/baseline-solver.js, the solver before the precomputed
+ * tables were added; --baseline compares against js/solver.js at a git revision instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_BASELINE = 'bench/baseline-solver.js';
+const SYNTHETIC_SIZES = [12, 16, 18, 20];
+const SPEEDS = [4.0, 5.0, 6.0];
+
+function parseArgs(argv) {
+    const args = { baseline: null, runs: 3 };
+    for (const arg of argv) {
+        const match = arg.match(/^--(\w+)=(.*)$/);
+        if (match) args[match[1]] = match[2];
+    }
+    args.runs = parseInt(args.runs, 10) || 1;
+    return args;
+}
+
+/**
+ * Load browser modules in order, returning their globals
+ * Uses Function rather than vm contexts, whose global lookups are slow enough to skew timings
+ */
+function loadModules(sources) {
+    const modules = {};
+    for (const [name, source] of sources) {
+        const names = Object.keys(modules);
+        modules[name] = new Function(...names, `${source}\nreturn ${name};`)(...names.map(key => modules[key]));
+    }
+    return modules;
+}
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+}
+
+/**
+ * Baseline solver source: the vendored copy, or js/solver.js at a git revision
+ */
+function readBaselineSolver(rev) {
+    if (!rev) return fs.readFileSync(path.join(ROOT, DEFAULT_BASELINE), 'utf8');
+    return execFileSync('git', ['show', `${rev}:js/solver.js`], { cwd: ROOT, encoding: 'utf8' });
+}
+
+/**
+ * Deterministic synthetic event: checkpoints scattered over 8 x 8 km,
+ * some with a two-hour opening slot
+ */
+function syntheticEvent(n, seed) {
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+    const checkpoints = new Map();
+    const points = new Map();
+
+    checkpoints.set('Start', { name: 'Start', isStart: true, openSlots: [{ open: 600, close: 630 }] });
+    points.set('Start', [0, 0]);
+
+    for (let i = 1; i <= n; i++) {
+        const name = `CP${i}`;
+        const open = 600 + Math.floor(random() * 8) * 30;
+        const openSlots = random() < 0.3 ? [{ open, close: open + 120 }] : [{ open: 600, close: 1020 }];
+        checkpoints.set(name, { name, openSlots, score: null });
+        points.set(name, [random() * 8 - 4, random() * 8 - 4]);
+    }
+
+    checkpoints.set('Finish', { name: 'Finish', isFinish: true, openSlots: [{ open: 960, close: 1020 }] });
+    points.set('Finish', [0.5, 0.5]);
+
+    const distances = new Map();
+    for (const [from, a] of points) {
+        for (const [to, b] of points) {
+            if (from === to) continue;
+            const distance = Math.round((Math.hypot(a[0] - b[0], a[1] - b[1]) * 1.3 + 0.2) * 100) / 100;
+            distances.set(`${from}|${to}`, { from, to, distance, heightGain: Math.round(random() * 150), source: 'synthetic' });
+        }
+    }
+
+    return { label: `synthetic ${n}`, checkpoints, startTime: 600, finishWindow: { open: 960, close: 1020 }, distances };
+}
+
+function loadEvent(modules, openingsFile, distancesFile) {
+    const openings = modules.CSVParser.parseOpenings(fs.readFileSync(openingsFile, 'utf8'));
+    const distances = modules.CSVParser.parseDistances(fs.readFileSync(distancesFile, 'utf8'));
+    return { label: path.basename(openingsFile), ...openings, distances };
+}
+
+/**
+ * Best of several runs, in milliseconds
+ */
+function time(fn, runs) {
+    let best = Infinity;
+    let result;
+    for (let i = 0; i < runs; i++) {
+        const started = process.hrtime.bigint();
+        result = fn();
+        best = Math.min(best, Number(process.hrtime.bigint() - started) / 1e6);
+    }
+    return { ms: best, result };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const shared = [
+        ['CSVParser', readSource('csv-parser.js')],
+        ['TravelModel', readSource('travel-model.js')],
+        ['Constraints', readSource('constraints.js')]
+    ];
+    const current = loadModules([...shared, ['Solver', readSource('solver.js')]]);
+    const baseline = loadModules([...shared, ['Solver', readBaselineSolver(args.baseline)]]);
+
+    const events = args.openings && args.distances
+        ? [loadEvent(current, args.openings, args.distances)]
+        : SYNTHETIC_SIZES.map((n, i) => syntheticEvent(n, i + 1));
+
+    console.log(`Baseline: ${args.baseline || DEFAULT_BASELINE}, best of ${args.runs} run(s)`);
+    console.log(['Event', 'Speed', 'Baseline ms', 'Current ms', 'Speed-up', 'Result'].join('\t'));
+
+    let mismatches = 0;
+
+    for (const event of events) {
+        for (const speed of SPEEDS) {
+            // Force the exact DP so both sides solve the same problem
+            const config = { speed, dwellTime: 7, excludedCps: new Set(), engine: 'exact' };
+            const old = time(() => baseline.Solver.solve(event, config), args.runs);
+            const now = time(() => current.Solver.solve(event, config), args.runs);
+
+            // Older solvers report arrival rather than the time the finish opens
+            const finish = result => Math.max(result.finishTime, event.finishWindow.open);
+            const same = old.result.count === now.result.count &&
+                Math.abs(finish(old.result) - finish(now.result)) < 1e-6;
+            if (!same) mismatches++;
+
+            console.log([
+                event.label,
+                speed.toFixed(1),
+                old.ms.toFixed(1),
+                now.ms.toFixed(1),
+                `${(old.ms / now.ms).toFixed(1)}x`,
+                same ? `${now.result.count} CPs` : `MISMATCH ${old.result.count} vs ${now.result.count}`
+            ].join('\t'));
+        }
+    }
+
+    if (mismatches > 0) {
+        console.error(`${mismatches} result(s) differ from the baseline`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -10,6 +10,11 @@ const App = (function() {
     let currentResult = null;
     let routeLegs = null;
     let trackerState = null;
+    let routeRules = [];
+    let whatIfDelays = new Map(); // checkpoint name -> extra minutes lost there
+    let importFiles = { openings: null, distances: null }; // {name, text} picked for import
+    let dataSources = [];
+    let sourceStatus = new Map(); // data source description -> {ok, message} from its last test
 
     // ===== DOM Elements =====
     const elements = {};
@@ -29,6 +34,9 @@ const App = (function() {
         // Load preferences
         loadPreferences();
 
+        // Show the configured data sources
+        loadSources();
+
         // Load available years
         loadYears();
 
@@ -44,25 +52,115 @@ const App = (function() {
 
         // Config screen
         elements.yearSelect = document.getElementById('year-select');
+        elements.deleteEventBtn = document.getElementById('delete-event-btn');
+        elements.refreshYearsBtn = document.getElementById('refresh-years-btn');
         elements.dataStatus = document.getElementById('data-status');
+        elements.importDrop = document.getElementById('import-drop');
+        elements.importChooseBtn = document.getElementById('import-choose-btn');
+        elements.importFileInput = document.getElementById('import-file-input');
+        elements.importFileList = document.getElementById('import-file-list');
+        elements.importNameInput = document.getElementById('import-name-input');
+        elements.importStatus = document.getElementById('import-status');
+        elements.importBtn = document.getElementById('import-btn');
+        elements.sourceList = document.getElementById('source-list');
+        elements.sourceTypeSelect = document.getElementById('source-type-select');
+        elements.sourceGithubGroup = document.getElementById('source-github-group');
+        elements.sourceRawInput = document.getElementById('source-raw-input');
+        elements.sourceOwnerInput = document.getElementById('source-owner-input');
+        elements.sourceRepoInput = document.getElementById('source-repo-input');
+        elements.sourceMainInput = document.getElementById('source-main-input');
+        elements.sourceStoreInput = document.getElementById('source-store-input');
+        elements.sourceHttpGroup = document.getElementById('source-http-group');
+        elements.sourceUrlInput = document.getElementById('source-url-input');
+        elements.addSourceBtn = document.getElementById('add-source-btn');
+        elements.testSourcesBtn = document.getElementById('test-sources-btn');
+        elements.resetSourcesBtn = document.getElementById('reset-sources-btn');
         elements.speedSlider = document.getElementById('speed-slider');
         elements.speedValue = document.getElementById('speed-value');
         elements.dwellInput = document.getElementById('dwell-input');
+        elements.startModeSelect = document.getElementById('start-mode-select');
+        elements.startModeHint = document.getElementById('start-mode-hint');
+        elements.startTimeGroup = document.getElementById('start-time-group');
+        elements.startTimeInput = document.getElementById('start-time-input');
+        elements.startTimeHint = document.getElementById('start-time-hint');
+        elements.travelModelSelect = document.getElementById('travel-model-select');
+        elements.naismithGroup = document.getElementById('naismith-group');
+        elements.naismithInput = document.getElementById('naismith-input');
+        elements.fitnessGroup = document.getElementById('fitness-group');
+        elements.fitnessSelect = document.getElementById('fitness-select');
+        elements.profileSelect = document.getElementById('profile-select');
+        elements.decayGroup = document.getElementById('decay-group');
+        elements.decayInput = document.getElementById('decay-input');
+        elements.speedTableGroup = document.getElementById('speed-table-group');
+        elements.speedTableInput = document.getElementById('speed-table-input');
+        elements.windowRuleSelect = document.getElementById('window-rule-select');
+        elements.windowMarginGroup = document.getElementById('window-margin-group');
+        elements.windowMarginInput = document.getElementById('window-margin-input');
+        elements.restModeSelect = document.getElementById('rest-mode-select');
+        elements.restDurationGroup = document.getElementById('rest-duration-group');
+        elements.restDurationInput = document.getElementById('rest-duration-input');
+        elements.restWindowGroup = document.getElementById('rest-window-group');
+        elements.restEarliestInput = document.getElementById('rest-earliest-input');
+        elements.restLatestInput = document.getElementById('rest-latest-input');
+        elements.restDistanceGroup = document.getElementById('rest-distance-group');
+        elements.restDistanceInput = document.getElementById('rest-distance-input');
+        elements.lateModeSelect = document.getElementById('late-mode-select');
+        elements.lateRateGroup = document.getElementById('late-rate-group');
+        elements.lateRateInput = document.getElementById('late-rate-input');
+        elements.lateMaxGroup = document.getElementById('late-max-group');
+        elements.lateMaxInput = document.getElementById('late-max-input');
+        elements.objectiveSelect = document.getElementById('objective-select');
+        elements.secondarySelect = document.getElementById('secondary-select');
+        elements.alternativesSelect = document.getElementById('alternatives-select');
+        elements.engineSelect = document.getElementById('engine-select');
         elements.checkpointGrid = document.getElementById('checkpoint-grid');
         elements.selectAllBtn = document.getElementById('select-all-btn');
         elements.selectNoneBtn = document.getElementById('select-none-btn');
+        elements.ruleFromSelect = document.getElementById('rule-from-select');
+        elements.ruleTypeSelect = document.getElementById('rule-type-select');
+        elements.ruleToSelect = document.getElementById('rule-to-select');
+        elements.addRuleBtn = document.getElementById('add-rule-btn');
+        elements.ruleList = document.getElementById('rule-list');
         elements.solveBtn = document.getElementById('solve-btn');
         elements.minSpeedBtn = document.getElementById('min-speed-btn');
+        elements.sweepBtn = document.getElementById('sweep-btn');
+        elements.searchMinInput = document.getElementById('search-min-input');
+        elements.searchMaxInput = document.getElementById('search-max-input');
+        elements.searchStepInput = document.getElementById('search-step-input');
         elements.loadingOverlay = document.getElementById('loading-overlay');
+        elements.loadingProgress = document.getElementById('loading-progress');
+        elements.cancelSolveBtn = document.getElementById('cancel-solve-btn');
 
         // Results screen
         elements.resultCheckpoints = document.getElementById('result-checkpoints');
+        elements.resultScore = document.getElementById('result-score');
+        elements.resultObjective = document.getElementById('result-objective');
+        elements.resultEngine = document.getElementById('result-engine');
+        elements.resultRest = document.getElementById('result-rest');
         elements.resultSpeed = document.getElementById('result-speed');
         elements.resultDistance = document.getElementById('result-distance');
         elements.resultHeight = document.getElementById('result-height');
+        elements.resultStart = document.getElementById('result-start');
         elements.resultFinish = document.getElementById('result-finish');
         elements.routePath = document.getElementById('route-path');
+        elements.speedSpreadInput = document.getElementById('speed-spread-input');
+        elements.dwellSpreadInput = document.getElementById('dwell-spread-input');
+        elements.robustOnTime = document.getElementById('robust-on-time');
+        elements.robustClean = document.getElementById('robust-clean');
+        elements.robustMedian = document.getElementById('robust-median');
+        elements.robustRange = document.getElementById('robust-range');
+        elements.robustMisses = document.getElementById('robust-misses');
+        elements.sweepCard = document.getElementById('sweep-card');
+        elements.sweepTableBody = document.getElementById('sweep-table-body');
+        elements.alternativesCard = document.getElementById('alternatives-card');
+        elements.alternativesList = document.getElementById('alternatives-list');
+        elements.omittedCard = document.getElementById('omitted-card');
+        elements.omittedList = document.getElementById('omitted-list');
         elements.routeTableBody = document.getElementById('route-table-body');
+        elements.whatIfNote = document.getElementById('what-if-note');
+        elements.whatIfText = document.getElementById('what-if-text');
+        elements.whatIfReoptimiseBtn = document.getElementById('what-if-reoptimise-btn');
+        elements.whatIfClearBtn = document.getElementById('what-if-clear-btn');
         elements.backBtn = document.getElementById('back-btn');
         elements.mapsBtn = document.getElementById('maps-btn');
         elements.exportBtn = document.getElementById('export-btn');
@@ -76,6 +174,8 @@ const App = (function() {
         elements.trackerList = document.getElementById('tracker-list');
         elements.trackerBackBtn = document.getElementById('tracker-back-btn');
         elements.resetTrackerBtn = document.getElementById('reset-tracker-btn');
+        elements.replanBtn = document.getElementById('replan-btn');
+        elements.replanNote = document.getElementById('replan-note');
 
         // Install prompt
         elements.installPrompt = document.getElementById('install-prompt');
@@ -86,20 +186,91 @@ const App = (function() {
     function setupEventListeners() {
         // Year selection
         elements.yearSelect.addEventListener('change', handleYearChange);
+        elements.deleteEventBtn.addEventListener('click', handleDeleteEvent);
+        elements.refreshYearsBtn.addEventListener('click', handleRefreshYears);
+
+        // Local event import, from the file picker or dropped files
+        elements.importChooseBtn.addEventListener('click', () => elements.importFileInput.click());
+        elements.importFileInput.addEventListener('change', () => {
+            handleImportFiles(elements.importFileInput.files);
+            elements.importFileInput.value = '';
+        });
+        elements.importDrop.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.importDrop.classList.add('drag-over');
+        });
+        elements.importDrop.addEventListener('dragleave', () => elements.importDrop.classList.remove('drag-over'));
+        elements.importDrop.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.importDrop.classList.remove('drag-over');
+            handleImportFiles(e.dataTransfer.files);
+        });
+        elements.importNameInput.addEventListener('input', updateImportButton);
+        elements.importBtn.addEventListener('click', handleImport);
+
+        // Data sources
+        elements.sourceTypeSelect.addEventListener('change', updateSourceFields);
+        elements.addSourceBtn.addEventListener('click', handleAddSource);
+        elements.testSourcesBtn.addEventListener('click', () => testSources(dataSources));
+        elements.resetSourcesBtn.addEventListener('click', handleResetSources);
+        elements.sourceList.addEventListener('click', handleSourceAction);
 
         // Speed slider
         elements.speedSlider.addEventListener('input', handleSpeedChange);
 
         // Dwell input
-        elements.dwellInput.addEventListener('change', savePreferences);
+        elements.dwellInput.addEventListener('change', handleDwellChange);
+
+        // Start time override, or a search of the START window
+        elements.startModeSelect.addEventListener('change', handleStartModeChange);
+        elements.startTimeInput.addEventListener('change', savePreferences);
+
+        // Travel model
+        elements.travelModelSelect.addEventListener('change', handleTravelModelChange);
+        elements.naismithInput.addEventListener('change', savePreferences);
+        elements.fitnessSelect.addEventListener('change', savePreferences);
+        elements.profileSelect.addEventListener('change', handleTravelModelChange);
+        elements.decayInput.addEventListener('change', savePreferences);
+        elements.speedTableInput.addEventListener('change', handleSpeedTableChange);
+
+        // Window rule
+        elements.windowRuleSelect.addEventListener('change', handleWindowRuleChange);
+        elements.windowMarginInput.addEventListener('change', savePreferences);
+
+        // Rest break
+        elements.restModeSelect.addEventListener('change', handleRestModeChange);
+        elements.restDurationInput.addEventListener('change', savePreferences);
+        elements.restEarliestInput.addEventListener('change', savePreferences);
+        elements.restLatestInput.addEventListener('change', savePreferences);
+        elements.restDistanceInput.addEventListener('change', savePreferences);
+
+        // Late finish penalty
+        elements.lateModeSelect.addEventListener('change', handleLateModeChange);
+        elements.lateRateInput.addEventListener('change', savePreferences);
+        elements.lateMaxInput.addEventListener('change', savePreferences);
+
+        // Objective
+        elements.objectiveSelect.addEventListener('change', savePreferences);
+        elements.secondarySelect.addEventListener('change', savePreferences);
+        elements.alternativesSelect.addEventListener('change', savePreferences);
+        elements.engineSelect.addEventListener('change', savePreferences);
+        elements.searchMinInput.addEventListener('change', savePreferences);
+        elements.searchMaxInput.addEventListener('change', savePreferences);
+        elements.searchStepInput.addEventListener('change', savePreferences);
 
         // Checkpoint selection
         elements.selectAllBtn.addEventListener('click', () => selectAllCheckpoints(true));
         elements.selectNoneBtn.addEventListener('click', () => selectAllCheckpoints(false));
 
+        // Route rules
+        elements.addRuleBtn.addEventListener('click', handleAddRule);
+        elements.ruleList.addEventListener('click', handleRemoveRule);
+
         // Solve buttons
         elements.solveBtn.addEventListener('click', handleSolve);
         elements.minSpeedBtn.addEventListener('click', handleMinSpeed);
+        elements.sweepBtn.addEventListener('click', handleSweep);
+        elements.cancelSolveBtn.addEventListener('click', handleCancelSolve);
 
         // Results actions
         elements.backBtn.addEventListener('click', () => showScreen('config'));
@@ -107,10 +278,17 @@ const App = (function() {
         elements.exportBtn.addEventListener('click', handleExport);
         elements.gpxBtn.addEventListener('click', handleGpxExport);
         elements.trackBtn.addEventListener('click', () => showScreen('tracker'));
+        elements.speedSpreadInput.addEventListener('change', handleRobustnessChange);
+        elements.dwellSpreadInput.addEventListener('change', handleRobustnessChange);
+        elements.omittedList.addEventListener('click', handleOmittedAction);
+        elements.routeTableBody.addEventListener('change', handleDelayChange);
+        elements.whatIfReoptimiseBtn.addEventListener('click', handleWhatIfReoptimise);
+        elements.whatIfClearBtn.addEventListener('click', handleWhatIfClear);
 
         // Tracker actions
         elements.trackerBackBtn.addEventListener('click', () => showScreen('results'));
         elements.resetTrackerBtn.addEventListener('click', handleResetTracker);
+        elements.replanBtn.addEventListener('click', handleReplan);
 
         // Install prompt
         elements.dismissInstallBtn.addEventListener('click', dismissInstallPrompt);
@@ -124,6 +302,9 @@ const App = (function() {
                 .then(reg => {
                     console.log('[App] Service worker registered');
 
+                    // The service worker caches data from the configured sources
+                    DataSources.notifyServiceWorker();
+
                     // Check for updates
                     reg.addEventListener('updatefound', () => {
                         const newWorker = reg.installing;
@@ -173,22 +354,20 @@ const App = (function() {
 
     // ===== Year Loading =====
 
-    async function loadYears() {
+    async function loadYears(refresh = false) {
         try {
-            const years = await GitHubLoader.fetchAvailableYears();
-
-            elements.yearSelect.innerHTML = '<option value="">Select year...</option>';
+            const listed = await GitHubLoader.fetchAvailableYears(refresh);
+            const offlineYears = await GitHubLoader.getOfflineYears();
+            const events = await LocalImport.listEvents();
 
-            for (const year of years) {
-                const option = document.createElement('option');
-                option.value = year;
-                option.textContent = year;
-                elements.yearSelect.appendChild(option);
-            }
+            // Cached years stay selectable even if the sources no longer list them
+            const years = Array.from(new Set(listed.concat(offlineYears))).sort((a, b) => b - a);
+            renderYearOptions(years, new Set(offlineYears), events);
 
-            // Restore last selected year
+            // Restore last selected year or imported event
             const lastYear = Storage.getPreference('lastYear');
-            if (lastYear && years.includes(lastYear)) {
+            const known = years.includes(lastYear) || events.some(e => e.id === lastYear);
+            if (lastYear && known) {
                 elements.yearSelect.value = lastYear;
                 await loadYearData(lastYear);
             }
@@ -198,11 +377,68 @@ const App = (function() {
         }
     }
 
+    /**
+     * Fill the year dropdown with competition years, then imported events
+     * @param {Array} years - Years, most recent first
+     * @param {Set} offlineYears - Years whose data is cached
+     * @param {Array} events - Imported events [{id, name}]
+     */
+    function renderYearOptions(years, offlineYears, events) {
+        elements.yearSelect.innerHTML = '<option value="">Select year...</option>';
+
+        const addGroup = (label, items) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const item of items) {
+                const option = document.createElement('option');
+                option.value = item.value;
+                option.textContent = item.text;
+                group.appendChild(option);
+            }
+            elements.yearSelect.appendChild(group);
+        };
+
+        addGroup('Competition years', years.map(year => ({ value: year, text: yearLabel(year, offlineYears.has(year)) })));
+        if (events.length > 0) {
+            // Imported events are stored locally, so are always available offline
+            addGroup('Imported', events.map(event => ({ value: event.id, text: event.name })));
+        }
+    }
+
+    function yearLabel(year, offline) {
+        return offline ? `${year} (available offline)` : String(year);
+    }
+
+    /**
+     * Mark a year's option once its data has been cached
+     */
+    function markYearOffline(year) {
+        const option = Array.from(elements.yearSelect.options).find(o => o.value === String(year));
+        if (option) option.textContent = yearLabel(year, true);
+    }
+
+    async function handleRefreshYears() {
+        elements.refreshYearsBtn.disabled = true;
+        await loadYears(true);
+        elements.refreshYearsBtn.disabled = false;
+    }
+
+    /**
+     * Read the year dropdown: a year number, or an imported event id
+     */
+    function getSelectedYear() {
+        const value = elements.yearSelect.value;
+        if (LocalImport.isEventId(value)) return value;
+        return parseInt(value, 10) || null;
+    }
+
     async function handleYearChange() {
-        const year = parseInt(elements.yearSelect.value, 10);
+        const year = getSelectedYear();
         if (!year) {
+            currentYear = null;
             yearData = null;
             updateDataStatus('pending', 'Select a year to load data');
+            updateDeleteEventButton();
             renderCheckpoints();
             updateSolveButtons();
             return;
@@ -214,29 +450,178 @@ const App = (function() {
 
     async function loadYearData(year) {
         currentYear = year;
+        updateDeleteEventButton();
         updateDataStatus('loading', 'Loading data...');
 
         try {
-            yearData = await GitHubLoader.loadYear(year);
+            yearData = LocalImport.isEventId(year)
+                ? await LocalImport.loadEvent(year)
+                : await GitHubLoader.loadYear(year);
+
+            if (!LocalImport.isEventId(year)) markYearOffline(year);
 
             const cpCount = yearData.checkpoints.size - 2; // Exclude start/finish
-            updateDataStatus('success', `Data loaded: ${cpCount} checkpoints`);
+            const source = yearData.distanceSource === 'Calculated' ? ', calculated distances' : '';
+            updateDataStatus('success', `Data loaded: ${cpCount} checkpoints${source}`);
 
             renderCheckpoints();
             updateSolveButtons();
 
-            // Restore excluded checkpoints
-            restoreExcludedCheckpoints();
+            // Restore checkpoint states, score and dwell overrides, start time and route rules
+            restoreCheckpointStates();
+            restoreCheckpointScores();
+            restoreCheckpointDwells();
+            restoreStartTime();
+            restoreRouteRules();
 
         } catch (err) {
             console.error('[App] Failed to load year data:', err);
             yearData = null;
             updateDataStatus('error', `Failed to load data: ${err.message}`);
             renderCheckpoints();
+            restoreRouteRules();
             updateSolveButtons();
         }
     }
 
+    /**
+     * Name of the loaded year or imported event, for exports
+     */
+    function getEventLabel() {
+        return (yearData && yearData.name) || currentYear;
+    }
+
+    function updateDeleteEventButton() {
+        elements.deleteEventBtn.classList.toggle('hidden', !LocalImport.isEventId(currentYear));
+    }
+
+    async function handleDeleteEvent() {
+        if (!LocalImport.isEventId(currentYear)) return;
+
+        const name = getEventLabel();
+        if (!confirm(`Delete the imported event "${name}"?`)) return;
+
+        try {
+            await LocalImport.deleteEvent(currentYear);
+            Storage.removePreference('lastYear');
+            await loadYears();
+            await handleYearChange();
+        } catch (err) {
+            console.error('[App] Failed to delete event:', err);
+            updateDataStatus('error', `Failed to delete event: ${err.message}`);
+        }
+    }
+
+    // ===== Event Import =====
+
+    /**
+     * Sort picked or dropped CSVs into openings and distances by their headers
+     */
+    async function handleImportFiles(fileList) {
+        const files = Array.from(fileList || []).filter(f => /\.csv$/i.test(f.name) || f.type === 'text/csv');
+        if (files.length === 0) {
+            setImportStatus('error', 'Choose .csv files');
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const text = await LocalImport.readFile(file);
+                const kind = LocalImport.detectKind(text);
+                if (!kind) continue;
+
+                importFiles[kind] = { name: file.name, text };
+
+                // Name the event after the openings file until the user names it
+                if (kind === 'openings' && !elements.importNameInput.value.trim()) {
+                    elements.importNameInput.value = file.name
+                        .replace(/\.csv$/i, '')
+                        .replace(/^openings[_\s-]*/i, '')
+                        .replace(/[_-]+/g, ' ')
+                        .trim();
+                }
+            } catch (err) {
+                console.error('[App] Failed to read file:', err);
+                setImportStatus('error', `Could not read ${file.name}`);
+                return;
+            }
+        }
+
+        renderImportFiles();
+
+        if (!importFiles.openings) {
+            setImportStatus('error', 'Add an openings CSV (with time slot columns such as 1000, 1030)');
+            return;
+        }
+
+        const check = LocalImport.validate(importFiles.openings.text, importFiles.distances && importFiles.distances.text);
+        if (check.errors.length > 0) {
+            setImportStatus('error', check.errors.join('. '));
+        } else {
+            const summary = `${check.checkpoints} checkpoints, ${importFiles.distances ? `${check.legs} legs` : 'distances from grid references'}`;
+            setImportStatus(check.warnings.length > 0 ? 'warning' : 'pending', [summary, ...check.warnings].join('. '));
+        }
+    }
+
+    function renderImportFiles() {
+        elements.importFileList.innerHTML = '';
+
+        for (const kind of ['openings', 'distances']) {
+            const file = importFiles[kind];
+            if (!file) continue;
+
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = file.name;
+            const label = document.createElement('span');
+            label.className = 'import-kind';
+            label.textContent = kind === 'openings' ? 'Openings' : 'Distances';
+            item.append(name, label);
+            elements.importFileList.appendChild(item);
+        }
+
+        updateImportButton();
+    }
+
+    function updateImportButton() {
+        elements.importBtn.disabled = !importFiles.openings || !elements.importNameInput.value.trim();
+    }
+
+    function setImportStatus(type, text) {
+        elements.importStatus.className = 'grid-hint';
+        if (type === 'error' || type === 'warning') elements.importStatus.classList.add(type);
+        elements.importStatus.classList.toggle('hidden', !text);
+        elements.importStatus.textContent = text || '';
+    }
+
+    async function handleImport() {
+        if (!importFiles.openings) return;
+
+        try {
+            const existing = await LocalImport.findEvent(elements.importNameInput.value);
+            if (existing && !confirm(`Replace the imported event "${existing.name}" with this one?`)) return;
+
+            const event = await LocalImport.importEvent({
+                name: elements.importNameInput.value,
+                openingsText: importFiles.openings.text,
+                distancesText: importFiles.distances ? importFiles.distances.text : null
+            });
+
+            importFiles = { openings: null, distances: null };
+            elements.importNameInput.value = '';
+            renderImportFiles();
+            setImportStatus(event.warnings.length > 0 ? 'warning' : 'pending',
+                [`Imported ${event.name}`, ...event.warnings].join('. '));
+
+            // Reloading the years selects and loads the new event
+            Storage.savePreference('lastYear', event.id);
+            await loadYears();
+        } catch (err) {
+            console.error('[App] Import failed:', err);
+            setImportStatus('error', err.message);
+        }
+    }
+
     function updateDataStatus(type, text) {
         const statusIcon = elements.dataStatus.querySelector('.status-icon');
         const statusText = elements.dataStatus.querySelector('.status-text');
@@ -262,8 +647,171 @@ const App = (function() {
         statusText.textContent = text;
     }
 
+    // ===== Data Sources =====
+
+    function loadSources() {
+        dataSources = DataSources.getSources();
+        renderSources();
+        updateSourceFields();
+    }
+
+    function renderSources() {
+        elements.sourceList.innerHTML = '';
+
+        dataSources.forEach((source, index) => {
+            const item = document.createElement('li');
+            item.className = 'source-item';
+
+            const info = document.createElement('span');
+            const name = document.createElement('span');
+            name.className = 'source-name';
+            name.textContent = `${index + 1}. ${DataSources.describe(source)}`;
+            const status = document.createElement('span');
+            const result = sourceStatus.get(DataSources.describe(source));
+            const state = !result || result.ok === null ? '' : (result.ok ? ' ok' : ' failed');
+            status.className = `source-status${state}`;
+            status.textContent = result ? result.message : 'Not tested';
+            info.append(name, status);
+
+            const actions = document.createElement('span');
+            actions.className = 'source-actions';
+            const addAction = (action, label) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn-link';
+                btn.dataset.action = action;
+                btn.dataset.index = index;
+                btn.textContent = label;
+                actions.appendChild(btn);
+            };
+            if (index > 0) addAction('up', 'Move up');
+            addAction('test', 'Test');
+            if (dataSources.length > 1) addAction('remove', 'Remove');
+
+            item.append(info, actions);
+            elements.sourceList.appendChild(item);
+        });
+    }
+
+    function updateSourceFields() {
+        const http = elements.sourceTypeSelect.value === DataSources.TYPES.HTTP;
+        elements.sourceGithubGroup.classList.toggle('hidden', http);
+        elements.sourceHttpGroup.classList.toggle('hidden', !http);
+    }
+
+    function handleAddSource() {
+        const source = DataSources.normalize(elements.sourceTypeSelect.value === DataSources.TYPES.HTTP
+            ? { type: DataSources.TYPES.HTTP, baseUrl: elements.sourceUrlInput.value }
+            : {
+                type: DataSources.TYPES.GITHUB,
+                rawBase: elements.sourceRawInput.value,
+                owner: elements.sourceOwnerInput.value,
+                repo: elements.sourceRepoInput.value,
+                mainBranch: elements.sourceMainInput.value,
+                fileStoreBranch: elements.sourceStoreInput.value
+            });
+
+        if (!source) {
+            alert('Enter the directory URL');
+            return;
+        }
+        if (dataSources.some(s => DataSources.describe(s) === DataSources.describe(source))) {
+            alert('That source is already in the list');
+            return;
+        }
+
+        [elements.sourceRawInput, elements.sourceOwnerInput, elements.sourceRepoInput,
+            elements.sourceMainInput, elements.sourceStoreInput, elements.sourceUrlInput]
+            .forEach(input => { input.value = ''; });
+
+        applySources(DataSources.saveSources(dataSources.concat(source)));
+        testSources([source]);
+    }
+
+    function handleSourceAction(e) {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+
+        const index = parseInt(btn.dataset.index, 10);
+        const sources = dataSources.slice();
+
+        switch (btn.dataset.action) {
+            case 'up':
+                [sources[index - 1], sources[index]] = [sources[index], sources[index - 1]];
+                applySources(DataSources.saveSources(sources));
+                break;
+            case 'remove':
+                if (!confirm(`Remove ${DataSources.describe(sources[index])}? Data cached from it will be cleared.`)) return;
+                sources.splice(index, 1);
+                applySources(DataSources.saveSources(sources));
+                break;
+            case 'test':
+                testSources([sources[index]]);
+                break;
+        }
+    }
+
+    function handleResetSources() {
+        const isDefault = dataSources.length === 1 &&
+            DataSources.describe(dataSources[0]) === DataSources.describe(DataSources.DEFAULT_SOURCE);
+        if (isDefault) return;
+        if (!confirm('Reset to the default source? Data cached from other sources will be cleared.')) return;
+
+        applySources(DataSources.resetSources());
+    }
+
+    /**
+     * Use a new list of sources: data cached from removed sources is cleared, the rest
+     * is kept for offline use, and the selected year is reloaded
+     */
+    async function applySources(sources) {
+        const previous = dataSources;
+        dataSources = sources;
+        renderSources();
+        DataSources.notifyServiceWorker(sources);
+
+        const kept = new Set(sources.map(DataSources.describe));
+        const removed = previous.filter(source => !kept.has(DataSources.describe(source)));
+
+        try {
+            await GitHubLoader.clearSourceCache(removed, sources);
+        } catch (err) {
+            console.error('[App] Failed to clear cached data:', err);
+        }
+
+        // Rediscover the years the new sources offer, which also reloads the selected year
+        await loadYears(true);
+    }
+
+    /**
+     * Check each source answers for the selected (or latest) year's openings
+     */
+    async function testSources(sources) {
+        const years = await GitHubLoader.fetchAvailableYears();
+        const year = currentYear && !LocalImport.isEventId(currentYear) ? currentYear : years[0];
+
+        for (const source of sources) {
+            sourceStatus.set(DataSources.describe(source), { ok: null, message: 'Testing...' });
+        }
+        renderSources();
+
+        await Promise.all(sources.map(async (source) => {
+            const result = await DataSources.test(source, year);
+            sourceStatus.set(DataSources.describe(source), result);
+            renderSources();
+        }));
+    }
+
     // ===== Checkpoints =====
 
+    // Checkpoint states, in the order a tap cycles through them
+    const CP_STATES = ['optional', 'must', 'exclude'];
+    const CP_STATE_LABELS = {
+        optional: { icon: '✓', title: 'Optional' },
+        must: { icon: '★', title: 'Must visit' },
+        exclude: { icon: '✗', title: 'Excluded' }
+    };
+
     function renderCheckpoints() {
         if (!yearData) {
             elements.checkpointGrid.innerHTML = '<p class="muted">Load data to see checkpoints</p>';
@@ -291,67 +839,478 @@ const App = (function() {
             return aNum - bNum;
         });
 
-        elements.checkpointGrid.innerHTML = checkpoints.map(name => `
-            <div class="checkpoint-item">
-                <input type="checkbox" id="cp-${name}" data-cp="${name}" checked>
-                <label for="cp-${name}">${name}</label>
-            </div>
-        `).join('');
+        elements.checkpointGrid.innerHTML = checkpoints.map(name => {
+            const html = escapeHtml(name);
+            return `
+                <div class="checkpoint-item">
+                    <button type="button" class="cp-state-btn" id="cp-${html}" data-cp="${html}"></button>
+                    <label for="cp-${html}">${html}</label>
+                    <input type="number" class="cp-score-input" data-cp="${html}" min="0" step="any"
+                           value="${Solver.getCheckpointScore(name, yearData.checkpoints)}"
+                           title="Score" aria-label="${html} score">
+                    <input type="number" class="cp-dwell-input" data-cp="${html}" min="0" step="any"
+                           value="${yearData.checkpoints.get(name).dwell ?? ''}"
+                           placeholder="${elements.dwellInput.value}"
+                           title="Dwell time (minutes)" aria-label="${html} dwell time">
+                </div>
+            `;
+        }).join('');
 
         // Add change listeners
-        elements.checkpointGrid.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-            cb.addEventListener('change', savePreferences);
+        elements.checkpointGrid.querySelectorAll('.cp-state-btn').forEach(btn => {
+            setCheckpointState(btn, 'optional');
+            btn.addEventListener('click', handleCheckpointStateClick);
         });
+        elements.checkpointGrid.querySelectorAll('.cp-score-input, .cp-dwell-input').forEach(input => {
+            input.addEventListener('change', savePreferences);
+        });
+    }
+
+    function setCheckpointState(btn, state) {
+        const label = CP_STATE_LABELS[state];
+        btn.dataset.state = state;
+        btn.textContent = label.icon;
+        btn.title = label.title;
+        btn.closest('.checkpoint-item').dataset.state = state;
+    }
+
+    function handleCheckpointStateClick(e) {
+        const btn = e.currentTarget;
+        const next = CP_STATES[(CP_STATES.indexOf(btn.dataset.state) + 1) % CP_STATES.length];
+        setCheckpointState(btn, next);
+        savePreferences();
     }
 
     function selectAllCheckpoints(selected) {
-        elements.checkpointGrid.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-            cb.checked = selected;
+        elements.checkpointGrid.querySelectorAll('.cp-state-btn').forEach(btn => {
+            setCheckpointState(btn, selected ? 'optional' : 'exclude');
         });
         savePreferences();
     }
 
-    function getExcludedCheckpoints() {
-        const excluded = new Set();
-        elements.checkpointGrid.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-            if (!cb.checked) {
-                excluded.add(cb.dataset.cp);
+    function getCheckpointsInState(state) {
+        const names = new Set();
+        elements.checkpointGrid.querySelectorAll('.cp-state-btn').forEach(btn => {
+            if (btn.dataset.state === state) {
+                names.add(btn.dataset.cp);
             }
         });
-        return excluded;
+        return names;
+    }
+
+    function getExcludedCheckpoints() {
+        return getCheckpointsInState('exclude');
+    }
+
+    function getRequiredCheckpoints() {
+        return getCheckpointsInState('must');
     }
 
-    function restoreExcludedCheckpoints() {
+    function restoreCheckpointStates() {
         const excluded = Storage.getPreference(`excluded_${currentYear}`, []);
-        elements.checkpointGrid.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-            cb.checked = !excluded.includes(cb.dataset.cp);
+        const required = Storage.getPreference(`required_${currentYear}`, []);
+        elements.checkpointGrid.querySelectorAll('.cp-state-btn').forEach(btn => {
+            let state = 'optional';
+            if (excluded.includes(btn.dataset.cp)) state = 'exclude';
+            else if (required.includes(btn.dataset.cp)) state = 'must';
+            setCheckpointState(btn, state);
+        });
+    }
+
+    function getCheckpointScores() {
+        const scores = new Map();
+        elements.checkpointGrid.querySelectorAll('.cp-score-input').forEach(input => {
+            const score = parseFloat(input.value);
+            if (!isNaN(score)) {
+                scores.set(input.dataset.cp, score);
+            }
         });
+        return scores;
+    }
+
+    function getScoreOverrides() {
+        // Only keep scores that differ from the openings data
+        const overrides = {};
+        for (const [name, score] of getCheckpointScores()) {
+            if (score !== Solver.getCheckpointScore(name, yearData.checkpoints)) {
+                overrides[name] = score;
+            }
+        }
+        return overrides;
+    }
+
+    function restoreCheckpointScores() {
+        const overrides = Storage.getPreference(`scores_${currentYear}`, {});
+        elements.checkpointGrid.querySelectorAll('.cp-score-input').forEach(input => {
+            if (overrides[input.dataset.cp] !== undefined) {
+                input.value = overrides[input.dataset.cp];
+            }
+        });
+    }
+
+    function getCheckpointDwells() {
+        const dwells = new Map();
+        elements.checkpointGrid.querySelectorAll('.cp-dwell-input').forEach(input => {
+            const dwell = parseFloat(input.value);
+            if (!isNaN(dwell) && dwell >= 0) {
+                dwells.set(input.dataset.cp, dwell);
+            }
+        });
+        return dwells;
+    }
+
+    function getDwellOverrides() {
+        // Only keep dwell times that differ from the openings data (blank clears a CSV dwell)
+        const overrides = {};
+        elements.checkpointGrid.querySelectorAll('.cp-dwell-input').forEach(input => {
+            const csvDwell = yearData.checkpoints.get(input.dataset.cp)?.dwell ?? '';
+            if (input.value !== String(csvDwell)) {
+                overrides[input.dataset.cp] = input.value;
+            }
+        });
+        return overrides;
+    }
+
+    function restoreCheckpointDwells() {
+        const overrides = Storage.getPreference(`dwell_${currentYear}`, {});
+        elements.checkpointGrid.querySelectorAll('.cp-dwell-input').forEach(input => {
+            if (overrides[input.dataset.cp] !== undefined) {
+                input.value = overrides[input.dataset.cp];
+            }
+        });
+    }
+
+    function handleDwellChange() {
+        // Checkpoints without their own dwell show the default
+        elements.checkpointGrid.querySelectorAll('.cp-dwell-input').forEach(input => {
+            input.placeholder = elements.dwellInput.value;
+        });
+        savePreferences();
+    }
+
+    // ===== Route Rules =====
+
+    function restoreRouteRules() {
+        const names = yearData ? Array.from(yearData.checkpoints.keys()) : [];
+        const options = names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        elements.ruleFromSelect.innerHTML = options;
+        elements.ruleToSelect.innerHTML = options;
+        elements.addRuleBtn.disabled = names.length === 0;
+
+        routeRules = yearData ? Constraints.normalize(Storage.getPreference(`constraints_${currentYear}`, [])) : [];
+        renderRuleList();
+    }
+
+    function renderRuleList() {
+        if (routeRules.length === 0) {
+            elements.ruleList.innerHTML = '<li class="rule-item muted">No route rules</li>';
+            return;
+        }
+
+        elements.ruleList.innerHTML = routeRules.map((rule, index) => `
+            <li class="rule-item">
+                <span>${escapeHtml(Constraints.describe(rule))}</span>
+                <button type="button" class="btn-link" data-index="${index}" aria-label="Remove rule">Remove</button>
+            </li>
+        `).join('');
+    }
+
+    function handleAddRule() {
+        const rule = {
+            type: elements.ruleTypeSelect.value,
+            from: elements.ruleFromSelect.value,
+            to: elements.ruleToSelect.value
+        };
+
+        if (rule.from === rule.to) {
+            alert('Pick two different checkpoints');
+            return;
+        }
+
+        routeRules = Constraints.normalize(routeRules.concat(rule));
+        renderRuleList();
+        savePreferences();
+    }
+
+    function handleRemoveRule(e) {
+        const btn = e.target.closest('button[data-index]');
+        if (!btn) return;
+
+        routeRules.splice(parseInt(btn.dataset.index, 10), 1);
+        renderRuleList();
+        savePreferences();
+    }
+
+    function restoreStartTime() {
+        elements.startTimeInput.value = Storage.getPreference(`startTime_${currentYear}`, '');
+        elements.startTimeHint.textContent =
+            `Leave blank to start when START opens (${CSVParser.formatTime(yearData.startTime)})`;
+        elements.startModeSelect.value = Storage.getPreference(`startSearch_${currentYear}`, false) ? 'search' : 'fixed';
+        updateStartFields();
+    }
+
+    function handleStartModeChange() {
+        updateStartFields();
+        savePreferences();
+    }
+
+    function updateStartFields() {
+        const search = isStartSearch();
+        elements.startTimeGroup.classList.toggle('hidden', search);
+        elements.startModeHint.classList.toggle('hidden', !search);
+        if (!search || !yearData) return;
+
+        const startWindow = yearData.startWindow || { open: yearData.startTime, close: yearData.startTime };
+        elements.startModeHint.textContent = startWindow.close > startWindow.open
+            ? `START is open ${CSVParser.formatTime(startWindow.open)}-${CSVParser.formatTime(startWindow.close)}; ` +
+              `start times ${Solver.START_SEARCH_STEP} min apart are tried`
+            : `START only opens at ${CSVParser.formatTime(startWindow.open)}, so there is nothing to search`;
+    }
+
+    function isStartSearch() {
+        return elements.startModeSelect.value === 'search';
+    }
+
+    /**
+     * Start time for new plans: the override if set, otherwise when START opens
+     */
+    function getStartTime() {
+        const override = elements.startTimeInput.value;
+        return override ? CSVParser.parseTime(override) : yearData.startTime;
+    }
+
+    /**
+     * Start time the current result was planned with
+     */
+    function getPlanStartTime() {
+        return currentResult?.config?.startTime ?? yearData.startTime;
     }
 
     // ===== Speed & Preferences =====
 
+    function setSpeed(speed) {
+        elements.speedSlider.value = speed;
+        elements.speedValue.textContent = speed.toFixed(1);
+        savePreferences();
+    }
+
     function handleSpeedChange() {
         const speed = parseFloat(elements.speedSlider.value);
         elements.speedValue.textContent = speed.toFixed(1);
         savePreferences();
     }
 
+    function handleTravelModelChange() {
+        updateTravelModelFields();
+        savePreferences();
+    }
+
+    function handleWindowRuleChange() {
+        updateWindowRuleFields();
+        savePreferences();
+    }
+
+    function updateWindowRuleFields() {
+        elements.windowMarginGroup.classList.toggle('hidden', elements.windowRuleSelect.value !== Solver.WINDOW_RULES.MARGIN);
+    }
+
+    function getWindowRule() {
+        const minutes = parseFloat(elements.windowMarginInput.value);
+        return {
+            type: elements.windowRuleSelect.value,
+            minutes: isNaN(minutes) ? 0 : minutes
+        };
+    }
+
+    function handleRestModeChange() {
+        updateRestFields();
+        savePreferences();
+    }
+
+    function updateRestFields() {
+        const mode = elements.restModeSelect.value;
+        elements.restDurationGroup.classList.toggle('hidden', mode === Solver.REST_MODES.NONE);
+        elements.restWindowGroup.classList.toggle('hidden', mode !== Solver.REST_MODES.WINDOW);
+        elements.restDistanceGroup.classList.toggle('hidden', mode !== Solver.REST_MODES.DISTANCE);
+    }
+
+    function getRestBreak() {
+        const duration = parseFloat(elements.restDurationInput.value);
+        const afterKm = parseFloat(elements.restDistanceInput.value);
+        const earliest = elements.restEarliestInput.value;
+        const latest = elements.restLatestInput.value;
+
+        return {
+            mode: elements.restModeSelect.value,
+            duration: isNaN(duration) ? 0 : duration,
+            earliest: earliest ? CSVParser.parseTime(earliest) : null,
+            latest: latest ? CSVParser.parseTime(latest) : null,
+            afterKm: isNaN(afterKm) ? 0 : afterKm
+        };
+    }
+
+    function handleLateModeChange() {
+        updateLateFields();
+        savePreferences();
+    }
+
+    function updateLateFields() {
+        const penalty = elements.lateModeSelect.value === 'penalty';
+        elements.lateRateGroup.classList.toggle('hidden', !penalty);
+        elements.lateMaxGroup.classList.toggle('hidden', !penalty);
+    }
+
+    /**
+     * Late finish form values, saved whether or not a penalty is in use
+     */
+    function getLateSettings() {
+        const perMinute = parseFloat(elements.lateRateInput.value);
+        const maxMinutes = parseFloat(elements.lateMaxInput.value);
+
+        return {
+            mode: elements.lateModeSelect.value,
+            perMinute: isNaN(perMinute) ? 0 : perMinute,
+            maxMinutes: isNaN(maxMinutes) ? 0 : maxMinutes
+        };
+    }
+
+    /**
+     * Late finish penalty for the solver, or null when the finish closing is a hard cutoff
+     */
+    function getLatePenalty() {
+        const { mode, perMinute, maxMinutes } = getLateSettings();
+        return mode === 'penalty' ? { perMinute, maxMinutes } : null;
+    }
+
+    function handleSpeedTableChange() {
+        // Normalise the table text so the user sees how it was read
+        const table = TravelModel.parseProfileTable(elements.speedTableInput.value);
+        elements.speedTableInput.value = TravelModel.formatProfileTable(table);
+        savePreferences();
+    }
+
+    function updateTravelModelFields() {
+        const model = elements.travelModelSelect.value;
+        elements.naismithGroup.classList.toggle('hidden', model === TravelModel.MODELS.FLAT);
+        elements.fitnessGroup.classList.toggle('hidden', model !== TravelModel.MODELS.TRANTER);
+
+        const profile = elements.profileSelect.value;
+        elements.decayGroup.classList.toggle('hidden', profile !== TravelModel.PROFILES.DECAY);
+        elements.speedTableGroup.classList.toggle('hidden', profile !== TravelModel.PROFILES.TABLE);
+    }
+
+    function getTravelConfig() {
+        const naismithMinutes = parseFloat(elements.naismithInput.value);
+        const percentPerHour = parseFloat(elements.decayInput.value);
+
+        return {
+            travelModel: elements.travelModelSelect.value,
+            naismithMinutes: isNaN(naismithMinutes) ? TravelModel.DEFAULT_NAISMITH_MINUTES : naismithMinutes,
+            fitness: parseInt(elements.fitnessSelect.value, 10),
+            speedProfile: {
+                type: elements.profileSelect.value,
+                percentPerHour: isNaN(percentPerHour) ? 0 : percentPerHour,
+                table: TravelModel.parseProfileTable(elements.speedTableInput.value),
+                // Decay is measured from the race start
+                from: yearData ? getStartTime() : 0
+            }
+        };
+    }
+
     function loadPreferences() {
         const speed = Storage.getPreference('speed', 5.0);
         const dwell = Storage.getPreference('dwellTime', 7);
+        const travelModel = Storage.getPreference('travelModel', TravelModel.MODELS.FLAT);
+        const naismithMinutes = Storage.getPreference('naismithMinutes', TravelModel.DEFAULT_NAISMITH_MINUTES);
+        const fitness = Storage.getPreference('fitness', TravelModel.DEFAULT_FITNESS);
+        const speedProfile = Storage.getPreference('speedProfile', TravelModel.PROFILES.CONSTANT);
+        const decayPercent = Storage.getPreference('decayPercent', 3);
+        const speedTable = Storage.getPreference('speedTable', '');
+        const windowRule = Storage.getPreference('windowRule', { type: Solver.WINDOW_RULES.ARRIVE, minutes: 10 });
+        const restBreak = Storage.getPreference('restBreak', {
+            mode: Solver.REST_MODES.NONE, duration: 30, earliest: 720, latest: 810, afterKm: 10
+        });
+        const late = Storage.getPreference('latePenalty', { mode: 'none', perMinute: 1, maxMinutes: 30 });
+        const objective = Storage.getPreference('objective', 'count');
+        const secondaryObjective = Storage.getPreference('secondaryObjective', Solver.SECONDARY_OBJECTIVES.FINISH);
+        const alternatives = Storage.getPreference('alternatives', 1);
+        const engine = Storage.getPreference('engine', Solver.ENGINES.AUTO);
+        const speedSearch = Storage.getPreference('speedSearch', Solver.DEFAULT_SPEED_SEARCH);
+        const speedSpread = Storage.getPreference('speedSpread', Robustness.DEFAULT_SPEED_SPREAD);
+        const dwellSpread = Storage.getPreference('dwellSpread', Robustness.DEFAULT_DWELL_SPREAD);
 
         elements.speedSlider.value = speed;
         elements.speedValue.textContent = speed.toFixed(1);
         elements.dwellInput.value = dwell;
+
+        elements.fitnessSelect.innerHTML = TravelModel.TRANTER_FITNESS_LEVELS
+            .map(level => `<option value="${level}">${level} min</option>`)
+            .join('');
+        elements.travelModelSelect.value = travelModel;
+        elements.naismithInput.value = naismithMinutes;
+        elements.fitnessSelect.value = fitness;
+        elements.profileSelect.value = speedProfile;
+        elements.decayInput.value = decayPercent;
+        elements.speedTableInput.value = speedTable;
+        updateTravelModelFields();
+
+        elements.windowRuleSelect.value = windowRule.type;
+        elements.windowMarginInput.value = windowRule.minutes;
+        updateWindowRuleFields();
+
+        elements.restModeSelect.value = restBreak.mode;
+        elements.restDurationInput.value = restBreak.duration;
+        elements.restEarliestInput.value = restBreak.earliest !== null ? CSVParser.formatTime(restBreak.earliest) : '';
+        elements.restLatestInput.value = restBreak.latest !== null ? CSVParser.formatTime(restBreak.latest) : '';
+        elements.restDistanceInput.value = restBreak.afterKm;
+        updateRestFields();
+
+        elements.lateModeSelect.value = late.mode;
+        elements.lateRateInput.value = late.perMinute;
+        elements.lateMaxInput.value = late.maxMinutes;
+        updateLateFields();
+
+        elements.objectiveSelect.value = objective;
+        elements.secondarySelect.value = secondaryObjective;
+        elements.alternativesSelect.value = alternatives;
+        elements.engineSelect.value = engine;
+        elements.searchMinInput.value = speedSearch.minSpeed;
+        elements.searchMaxInput.value = speedSearch.maxSpeed;
+        elements.searchStepInput.value = speedSearch.resolution;
+        elements.speedSpreadInput.value = speedSpread;
+        elements.dwellSpreadInput.value = dwellSpread;
     }
 
     function savePreferences() {
         Storage.savePreference('speed', parseFloat(elements.speedSlider.value));
         Storage.savePreference('dwellTime', parseInt(elements.dwellInput.value, 10));
-
-        if (currentYear) {
+        const travel = getTravelConfig();
+        Storage.savePreference('travelModel', travel.travelModel);
+        Storage.savePreference('naismithMinutes', travel.naismithMinutes);
+        Storage.savePreference('fitness', travel.fitness);
+        Storage.savePreference('speedProfile', travel.speedProfile.type);
+        Storage.savePreference('decayPercent', travel.speedProfile.percentPerHour);
+        Storage.savePreference('speedTable', TravelModel.formatProfileTable(travel.speedProfile.table));
+        Storage.savePreference('windowRule', getWindowRule());
+        Storage.savePreference('restBreak', getRestBreak());
+        Storage.savePreference('latePenalty', getLateSettings());
+        Storage.savePreference('objective', elements.objectiveSelect.value);
+        Storage.savePreference('secondaryObjective', elements.secondarySelect.value);
+        Storage.savePreference('alternatives', parseInt(elements.alternativesSelect.value, 10));
+        Storage.savePreference('engine', elements.engineSelect.value);
+        Storage.savePreference('speedSearch', getSpeedSearch());
+        Storage.savePreference('speedSpread', parseFloat(elements.speedSpreadInput.value) || 0);
+        Storage.savePreference('dwellSpread', parseFloat(elements.dwellSpreadInput.value) || 0);
+
+        if (currentYear && yearData) {
             const excluded = Array.from(getExcludedCheckpoints());
             Storage.savePreference(`excluded_${currentYear}`, excluded);
+            Storage.savePreference(`dwell_${currentYear}`, getDwellOverrides());
+            Storage.savePreference(`required_${currentYear}`, Array.from(getRequiredCheckpoints()));
+            Storage.savePreference(`scores_${currentYear}`, getScoreOverrides());
+            Storage.savePreference(`startTime_${currentYear}`, elements.startTimeInput.value);
+            Storage.savePreference(`startSearch_${currentYear}`, isStartSearch());
+            Storage.savePreference(`constraints_${currentYear}`, routeRules);
         }
     }
 
@@ -359,49 +1318,78 @@ const App = (function() {
         const enabled = yearData !== null;
         elements.solveBtn.disabled = !enabled;
         elements.minSpeedBtn.disabled = !enabled;
+        elements.sweepBtn.disabled = !enabled;
+    }
+
+    function getSpeedSearch() {
+        const defaults = Solver.DEFAULT_SPEED_SEARCH;
+        const minSpeed = parseFloat(elements.searchMinInput.value);
+        const maxSpeed = parseFloat(elements.searchMaxInput.value);
+        const resolution = parseFloat(elements.searchStepInput.value);
+
+        return {
+            minSpeed: minSpeed > 0 ? minSpeed : defaults.minSpeed,
+            maxSpeed: maxSpeed > minSpeed ? maxSpeed : defaults.maxSpeed,
+            resolution: resolution > 0 ? resolution : defaults.resolution
+        };
     }
 
     // ===== Solver =====
 
+    function getSolverConfig() {
+        return {
+            dwellTime: parseInt(elements.dwellInput.value, 10),
+            startTime: getStartTime(),
+            startSearch: isStartSearch(),
+            windowRule: getWindowRule(),
+            restBreak: getRestBreak(),
+            latePenalty: getLatePenalty(),
+            ...getTravelConfig(),
+            excludedCps: getExcludedCheckpoints(),
+            requiredCps: getRequiredCheckpoints(),
+            objective: elements.objectiveSelect.value,
+            secondaryObjective: elements.secondarySelect.value,
+            scores: getCheckpointScores(),
+            dwellTimes: getCheckpointDwells(),
+            constraints: routeRules.slice(),
+            alternatives: parseInt(elements.alternativesSelect.value, 10),
+            engine: elements.engineSelect.value,
+            speedSearch: getSpeedSearch()
+        };
+    }
+
     async function handleSolve() {
+        await solveAtSpeed(parseFloat(elements.speedSlider.value));
+    }
+
+    async function solveAtSpeed(speed) {
         if (!yearData) return;
 
         showLoading(true);
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
-            try {
-                const config = {
-                    speed: parseFloat(elements.speedSlider.value),
-                    dwellTime: parseInt(elements.dwellInput.value, 10),
-                    excludedCps: getExcludedCheckpoints()
-                };
-
-                currentResult = Solver.solve(yearData, config);
-                currentResult.speed = config.speed;
-                currentResult.dwellTime = config.dwellTime;
-
-                // Build route card
-                routeLegs = RouteCard.build(currentResult.route, yearData, {
-                    speed: config.speed,
-                    dwellTime: config.dwellTime,
-                    startTime: yearData.startTime
-                });
-
-                // Initialize tracker state
-                initTrackerState();
-
-                // Display results
-                displayResults();
-                showScreen('results');
+        try {
+            const config = {
+                ...getSolverConfig(),
+                speed
+            };
 
-            } catch (err) {
+            const result = await SolverClient.run('solve', yearData, config, updateLoadingProgress);
+
+            if (result.infeasible) {
+                alert(result.message);
+                return;
+            }
+
+            showResult(result, config);
+
+        } catch (err) {
+            if (!err.cancelled) {
                 console.error('[App] Solve error:', err);
                 alert('Error finding route: ' + err.message);
-            } finally {
-                showLoading(false);
             }
-        }, 50);
+        } finally {
+            showLoading(false);
+        }
     }
 
     async function handleMinSpeed() {
@@ -409,50 +1397,102 @@ const App = (function() {
 
         showLoading(true, 'Finding minimum speed...');
 
-        setTimeout(() => {
-            try {
-                const config = {
-                    dwellTime: parseInt(elements.dwellInput.value, 10),
-                    excludedCps: getExcludedCheckpoints()
-                };
+        try {
+            const config = getSolverConfig();
 
-                const result = Solver.findMinSpeed(yearData, config);
+            const result = await SolverClient.run('findMinSpeed', yearData, config, updateLoadingProgress);
 
-                if (result.speed === null) {
-                    alert('Cannot visit all checkpoints even at maximum speed (10 km/h)');
-                    showLoading(false);
-                    return;
-                }
+            if (result.speed === null) {
+                alert(result.message);
+                return;
+            }
 
-                // Update speed slider
-                elements.speedSlider.value = result.speed;
-                elements.speedValue.textContent = result.speed.toFixed(1);
-                savePreferences();
+            setSpeed(result.speed);
 
-                currentResult = result;
-                currentResult.dwellTime = config.dwellTime;
+            showResult(result, { ...config, speed: result.speed });
 
-                // Build route card
-                routeLegs = RouteCard.build(result.route, yearData, {
-                    speed: result.speed,
-                    dwellTime: config.dwellTime,
-                    startTime: yearData.startTime
-                });
+        } catch (err) {
+            if (!err.cancelled) {
+                console.error('[App] Min speed error:', err);
+                alert('Error finding minimum speed: ' + err.message);
+            }
+        } finally {
+            showLoading(false);
+        }
+    }
 
-                // Initialize tracker state
-                initTrackerState();
+    async function handleSweep() {
+        if (!yearData) return;
 
-                // Display results
-                displayResults();
-                showScreen('results');
+        showLoading(true, 'Sweeping speeds...');
 
-            } catch (err) {
-                console.error('[App] Min speed error:', err);
-                alert('Error finding minimum speed: ' + err.message);
-            } finally {
-                showLoading(false);
+        try {
+            const config = getSolverConfig();
+            const sweep = await SolverClient.run('sweepSpeeds', yearData, config, updateLoadingProgress);
+
+            if (sweep.points.length === 0) {
+                alert(`No checkpoints can be visited at up to ${sweep.maxSpeed} km/h`);
+                return;
+            }
+
+            // Show the best count reachable at the current speed, or the slowest point
+            const speed = parseFloat(elements.speedSlider.value);
+            const reachable = sweep.points.filter(point => point.speed <= speed);
+            const point = reachable.length > 0 ? reachable[reachable.length - 1] : sweep.points[0];
+
+            showResult(point.result, { ...config, speed: point.speed }, sweep);
+
+        } catch (err) {
+            if (!err.cancelled) {
+                console.error('[App] Speed sweep error:', err);
+                alert('Error sweeping speeds: ' + err.message);
             }
-        }, 50);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    function showResult(result, config, sweep = null) {
+        // A start window search picks the start time, so plan the route card from it
+        if (result.startTime !== undefined) {
+            config = {
+                ...config,
+                startTime: result.startTime,
+                speedProfile: config.speedProfile && { ...config.speedProfile, from: result.startTime }
+            };
+        }
+
+        currentResult = result;
+        currentResult.speed = config.speed;
+        currentResult.dwellTime = config.dwellTime;
+        currentResult.config = config;
+        currentResult.selectedAlternative = 0;
+        currentResult.sweep = sweep;
+        resetWhatIf();
+
+        // Build route card
+        routeLegs = buildRouteLegs(currentResult.route);
+
+        // Initialize tracker state
+        initTrackerState();
+
+        // Display results
+        displayResults();
+        showScreen('results');
+    }
+
+    function buildRouteLegs(route, startTime = getPlanStartTime(), restAfter = currentResult.restAfter) {
+        return RouteCard.build(route, yearData, {
+            ...currentResult.config,
+            speed: currentResult.speed,
+            startTime,
+            restAfter,
+            delays: whatIfDelays
+        });
+    }
+
+    function handleCancelSolve() {
+        SolverClient.cancel();
     }
 
     // ===== Results Display =====
@@ -466,16 +1506,381 @@ const App = (function() {
         const totalCps = currentResult.route.length - 2;
 
         elements.resultCheckpoints.textContent = `${totalCps}`;
+        // Net of any late finish penalty
+        elements.resultScore.textContent = summary.latePenalty > 0
+            ? `${RouteCard.formatPoints(summary.netScore)} pts (${summary.totalScore} − ` +
+              `${RouteCard.formatPoints(summary.latePenalty)} late)`
+            : `${summary.totalScore} pts`;
         elements.resultSpeed.textContent = `${currentResult.speed.toFixed(1)} km/h`;
         elements.resultDistance.textContent = `${summary.totalDistance} km`;
         elements.resultHeight.textContent = `${summary.totalHeight} m`;
-        elements.resultFinish.textContent = CSVParser.formatTime(summary.finishTime);
+        elements.resultStart.textContent = currentResult.startTime !== undefined
+            ? `${CSVParser.formatTime(getPlanStartTime())} (best)`
+            : CSVParser.formatTime(getPlanStartTime());
+        if (summary.lateMinutes > 0) {
+            elements.resultFinish.textContent =
+                `${CSVParser.formatTime(summary.finishTime)} (${Math.ceil(summary.lateMinutes)} min late)`;
+        } else {
+            elements.resultFinish.textContent = summary.finishWait > 0
+                ? `${CSVParser.formatTime(summary.finishTime)} (wait ${Math.round(summary.finishWait)} min)`
+                : CSVParser.formatTime(summary.finishTime);
+        }
 
         // Route path
         elements.routePath.textContent = currentResult.route.join(' → ');
 
+        renderObjectiveNote();
+        renderEngineNote();
+        renderRestNote();
+        renderRobustness();
+
         // Route table
         elements.routeTableBody.innerHTML = RouteCard.renderTableRows(routeLegs);
+        renderWhatIf();
+
+        renderAlternatives();
+        renderOmitted();
+        renderSweep();
+    }
+
+    function renderObjectiveNote() {
+        const { objective, secondaryObjective } = currentResult.config;
+        const primary = objective === 'score' ? 'highest score' : 'most checkpoints';
+        const secondary = elements.secondarySelect.querySelector(`option[value="${secondaryObjective}"]`);
+
+        elements.resultObjective.textContent =
+            `Optimised for ${primary}, then ${(secondary?.textContent || 'earliest finish').toLowerCase()}.`;
+    }
+
+    function renderEngineNote() {
+        const { heuristic, optimalityGap } = currentResult;
+        elements.resultEngine.classList.toggle('hidden', !heuristic);
+        if (!heuristic) return;
+
+        const unit = currentResult.config.objective === 'score' ? 'pts' : 'checkpoints';
+        const gap = Math.round(optimalityGap * 10) / 10;
+        elements.resultEngine.textContent = gap > 0
+            ? `Heuristic solver: the best possible route may collect up to ${gap} more ${unit}.`
+            : 'Heuristic solver: this route matches the upper bound, so it is optimal.';
+    }
+
+    function renderRestNote() {
+        const { restMissed, config } = currentResult;
+        elements.resultRest.classList.toggle('hidden', !restMissed);
+        if (!restMissed) return;
+
+        elements.resultRest.textContent = `No route leaves room for the break ` +
+            `(${RouteCard.describeRestBreak(config.restBreak)}) and still finishes in time, so this route leaves it out.`;
+    }
+
+    // ===== Robustness =====
+
+    function renderRobustness() {
+        const analysis = Robustness.simulate(routeLegs, yearData, {
+            ...currentResult.config,
+            speed: currentResult.speed
+        }, {
+            speedSpread: parseFloat(elements.speedSpreadInput.value) || 0,
+            dwellSpread: parseFloat(elements.dwellSpreadInput.value) || 0
+        });
+
+        const [low, median, high] = analysis.finishPercentiles;
+        elements.robustOnTime.textContent = formatPercent(analysis.onTimeProbability);
+        elements.robustClean.textContent = formatPercent(analysis.cleanProbability);
+        elements.robustMedian.textContent = median ? CSVParser.formatTime(median.time) : '-';
+        elements.robustRange.textContent = low && high
+            ? `${CSVParser.formatTime(low.time)}-${CSVParser.formatTime(high.time)}`
+            : '-';
+
+        if (analysis.misses.length === 0) {
+            elements.robustMisses.innerHTML = '<li class="robust-miss">No checkpoint windows missed in any run</li>';
+            return;
+        }
+
+        elements.robustMisses.innerHTML = analysis.misses.map(miss => `
+            <li class="robust-miss">
+                <span class="robust-miss-name">${escapeHtml(miss.name)}</span>
+                <span class="robust-miss-value">missed ${formatPercent(miss.probability)}</span>
+            </li>
+        `).join('');
+    }
+
+    function formatPercent(probability) {
+        const percent = probability * 100;
+        if (percent > 0 && percent < 1) return '<1%';
+        if (percent < 100 && percent > 99) return '>99%';
+        return `${Math.round(percent)}%`;
+    }
+
+    function handleRobustnessChange() {
+        savePreferences();
+        if (currentResult && routeLegs) {
+            renderRobustness();
+        }
+    }
+
+    // ===== What-If Delays =====
+
+    function handleDelayChange(e) {
+        const input = e.target.closest('.delay-input');
+        if (!input) return;
+
+        const minutes = parseFloat(input.value);
+        if (minutes > 0) {
+            whatIfDelays.set(input.dataset.stop, minutes);
+        } else {
+            whatIfDelays.delete(input.dataset.stop);
+        }
+        elements.whatIfReoptimiseBtn.disabled = false;
+
+        // The route is unchanged, so tracker progress is kept against the new times
+        routeLegs = buildRouteLegs(currentResult.route);
+        displayResults();
+        renderTracker();
+    }
+
+    function handleWhatIfClear() {
+        resetWhatIf();
+        routeLegs = buildRouteLegs(currentResult.route);
+        displayResults();
+        renderTracker();
+    }
+
+    function resetWhatIf() {
+        whatIfDelays = new Map();
+        elements.whatIfReoptimiseBtn.disabled = false;
+    }
+
+    /**
+     * Summarise the delays in play and what they do to the rest of the route
+     */
+    function renderWhatIf() {
+        const delayed = routeLegs.filter(leg => leg.delay > 0);
+        elements.whatIfNote.classList.toggle('hidden', delayed.length === 0);
+        if (delayed.length === 0) return;
+
+        const summary = RouteCard.summarize(routeLegs);
+        const missed = routeLegs.filter(leg => leg.missedWindow).map(leg => leg.to);
+        const delays = delayed.map(leg => `+${Math.round(leg.delay)} min at ${leg.to}`).join(', ');
+
+        elements.whatIfText.textContent = `What if ${delays}: finish ${CSVParser.formatTime(summary.finishTime)}` +
+            (missed.length > 0 ? `, misses ${missed.join(', ')}` : ', every window still made');
+    }
+
+    /**
+     * Re-plan the route after the last delayed stop, starting when the team would leave it
+     */
+    async function handleWhatIfReoptimise() {
+        const route = currentResult.route;
+        let legIndex = -1;
+        routeLegs.forEach((leg, i) => {
+            if (leg.delay > 0) legIndex = i;
+        });
+        if (legIndex < 0) return;
+
+        const prefix = route.slice(0, legIndex + 2);
+        const here = prefix[prefix.length - 1];
+        const startTime = routeLegs[legIndex].readyTime;
+
+        // A break planned at or before the delayed stop is already in its departure time
+        const restIndex = route.indexOf(currentResult.restAfter);
+        const restTaken = restIndex >= 0 && restIndex < prefix.length;
+
+        showLoading(true, `Re-optimising after ${here}...`);
+
+        try {
+            const config = {
+                ...currentResult.config,
+                startFrom: here,
+                startTime,
+                visitedCps: new Set(prefix),
+                restBreak: restTaken ? null : currentResult.config.restBreak,
+                alternatives: 1
+            };
+
+            const result = await SolverClient.run('solve', yearData, config, updateLoadingProgress);
+
+            if (result.infeasible) {
+                alert(result.message);
+                return;
+            }
+
+            if (!reachesFinish(result)) {
+                alert(`After this delay the finish can no longer be reached in time from ${here} ` +
+                    `(it closes ${CSVParser.formatTime(finishCutoff())}). Keeping the current plan.`);
+                return;
+            }
+
+            applyRemainder(prefix, result, startTime);
+            elements.whatIfReoptimiseBtn.disabled = true;
+            initTrackerState();
+            displayResults();
+
+        } catch (err) {
+            if (!err.cancelled) {
+                console.error('[App] What-if re-optimise error:', err);
+                alert('Error re-optimising route: ' + err.message);
+            }
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // ===== Skipped Checkpoints =====
+
+    function renderOmitted() {
+        const omitted = currentResult.omitted || [];
+        elements.omittedCard.classList.toggle('hidden', omitted.length === 0);
+
+        elements.omittedList.innerHTML = omitted.map(item => {
+            const state = getCheckpointStateButton(item.name)?.dataset.state;
+            const name = escapeHtml(item.name);
+            const actions = state === 'exclude'
+                ? '<span class="muted">Excluded</span>'
+                : `<button type="button" class="btn-link" data-cp="${name}" data-state="must">Require</button>
+                   <button type="button" class="btn-link" data-cp="${name}" data-state="exclude">Exclude</button>`;
+
+            return `
+                <li class="omitted-item">
+                    <div>
+                        <span class="omitted-name">${name}</span>
+                        <span class="omitted-reason">${escapeHtml(describeOmission(item))}</span>
+                    </div>
+                    <span class="omitted-actions">${actions}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Explain a skipped checkpoint (see Solver.explainOmitted)
+     */
+    function describeOmission(item) {
+        const reasons = Solver.OMISSION_REASONS;
+        const minutes = (value) => `${Math.round(value)} min`;
+
+        switch (item.reason) {
+            case reasons.NO_DATA:
+                return 'No distance data for the legs to or from it';
+            case reasons.CLOSED:
+                return item.closeTime === null
+                    ? 'No slot is long enough to visit under the window rule'
+                    : `Last arrival ${CSVParser.formatTime(item.closeTime)}, but it cannot be reached ` +
+                      `before ${CSVParser.formatTime(item.earliestArrival)}`;
+            case reasons.UNREACHABLE:
+                return 'Cannot be visited and still reach the finish in time, even on its own';
+            case reasons.RULES:
+                return item.rules.length > 0
+                    ? `Route rules leave no way to fit it in (${item.rules.join(', ')})`
+                    : 'Route rules leave no way to fit it in';
+            case reasons.DETOUR:
+                return `Costs at least ${minutes(item.detour)} (+${item.detourKm.toFixed(1)} km), ` +
+                    `but the route has only ${minutes(item.spare)} to spare`;
+            case reasons.WINDOWS:
+                return `The ${minutes(item.detour)} detour fits the ${minutes(item.spare)} to spare, ` +
+                    'but every way to fit it in misses a checkpoint window';
+            case reasons.PENALTY:
+                return `Fits, but the later finish costs ${RouteCard.formatPoints(item.penalty)} pts ` +
+                    `for ${RouteCard.formatPoints(item.gain)} gained`;
+            case reasons.MISSED:
+                return 'Fits into this route and would improve it';
+            default:
+                return '';
+        }
+    }
+
+    function getCheckpointStateButton(name) {
+        return elements.checkpointGrid.querySelector(`.cp-state-btn[data-cp="${CSS.escape(name)}"]`);
+    }
+
+    function handleOmittedAction(e) {
+        const btn = e.target.closest('button[data-cp]');
+        if (!btn) return;
+
+        const stateBtn = getCheckpointStateButton(btn.dataset.cp);
+        if (!stateBtn) return;
+
+        setCheckpointState(stateBtn, btn.dataset.state);
+        savePreferences();
+
+        // Plan again at the same speed with the checkpoint forced in
+        if (btn.dataset.state === 'must') {
+            solveAtSpeed(currentResult.speed);
+        } else {
+            renderOmitted();
+        }
+    }
+
+    // ===== Speed Sweep =====
+
+    function renderSweep() {
+        const sweep = currentResult.sweep;
+        elements.sweepCard.classList.toggle('hidden', !sweep);
+        if (!sweep) return;
+
+        const fastest = sweep.points[sweep.points.length - 1].speed;
+
+        elements.sweepTableBody.innerHTML = sweep.points.map((point, index) => `
+            <tr class="sweep-row ${point.speed === currentResult.speed ? 'selected' : ''}" data-index="${index}">
+                <td>${point.count}</td>
+                <td>${point.speed.toFixed(2)}</td>
+                <td class="sweep-bar-cell"><span class="sweep-bar" style="width: ${Math.round((point.speed / fastest) * 100)}%"></span></td>
+                <td>${CSVParser.formatTime(point.result.finishTime)}</td>
+                <td>${point.result.totalDistance.toFixed(1)}</td>
+            </tr>
+        `).join('');
+
+        elements.sweepTableBody.querySelectorAll('.sweep-row').forEach(row => {
+            row.addEventListener('click', () => selectSweepPoint(parseInt(row.dataset.index, 10)));
+        });
+    }
+
+    function selectSweepPoint(index) {
+        const sweep = currentResult.sweep;
+        const point = sweep.points[index];
+        if (!point || point.speed === currentResult.speed) return;
+
+        setSpeed(point.speed);
+        showResult(point.result, { ...currentResult.config, speed: point.speed }, sweep);
+    }
+
+    // ===== Alternative Routes =====
+
+    function renderAlternatives() {
+        const alternatives = currentResult.alternatives || [];
+
+        if (alternatives.length < 2) {
+            elements.alternativesCard.classList.add('hidden');
+            return;
+        }
+
+        elements.alternativesCard.classList.remove('hidden');
+        elements.alternativesList.innerHTML = alternatives.map((alt, i) => `
+            <button type="button" class="alternative-item ${i === currentResult.selectedAlternative ? 'selected' : ''}" data-index="${i}">
+                <span class="alternative-rank">#${i + 1}</span>
+                <span class="alternative-stats">
+                    ${alt.count} CPs • ${alt.totalScore} pts • ${CSVParser.formatTime(alt.finishTime)} •
+                    ${alt.totalDistance} km • ${alt.totalHeight} m
+                </span>
+            </button>
+        `).join('');
+
+        elements.alternativesList.querySelectorAll('.alternative-item').forEach(btn => {
+            btn.addEventListener('click', () => selectAlternative(parseInt(btn.dataset.index, 10)));
+        });
+    }
+
+    function selectAlternative(index) {
+        const alternative = currentResult.alternatives[index];
+        if (!alternative || index === currentResult.selectedAlternative) return;
+
+        Object.assign(currentResult, alternative);
+        currentResult.selectedAlternative = index;
+        resetWhatIf();
+
+        routeLegs = buildRouteLegs(currentResult.route);
+        initTrackerState();
+        displayResults();
     }
 
     // ===== Progress Tracker =====
@@ -490,7 +1895,9 @@ const App = (function() {
 
         // Mark start as visited by default
         trackerState.visited[0] = true;
-        trackerState.actualTimes[0] = yearData.startTime;
+        trackerState.actualTimes[0] = getPlanStartTime();
+
+        elements.replanNote.classList.add('hidden');
 
         renderTracker();
     }
@@ -506,6 +1913,7 @@ const App = (function() {
         // Calculate time difference
         const lastVisited = findLastVisitedIndex();
         updateTimeDifference(lastVisited);
+        const delay = getTrackerDelay(lastVisited);
 
         // Render checkpoint list
         let html = '';
@@ -519,35 +1927,61 @@ const App = (function() {
             // Get scheduled time from route legs
             let scheduledTime = null;
             if (i === 0) {
-                scheduledTime = yearData.startTime;
+                scheduledTime = getPlanStartTime();
             } else if (i <= routeLegs.length) {
                 scheduledTime = routeLegs[i - 1].arriveTime;
             }
 
             const statusClass = isVisited ? 'visited' : (isCurrent ? 'current' : '');
+            const warning = !isVisited && i > 0 ? getWindowWarning(routeLegs[i - 1], delay) : null;
 
             html += `
                 <div class="tracker-item ${statusClass}" data-index="${i}">
                     <input type="checkbox" class="tracker-checkbox"
                            ${isVisited ? 'checked' : ''}
                            ${i === 0 ? 'disabled' : ''}>
-                    <span class="tracker-name">${name}</span>
+                    <span class="tracker-name">${escapeHtml(name)}</span>
                     <span class="tracker-scheduled">${scheduledTime !== null ? CSVParser.formatTime(scheduledTime) : '-'}</span>
                     <span class="tracker-actual ${getActualTimeClass(actualTime, scheduledTime)}">
                         ${isVisited ? (actualTime !== null ? CSVParser.formatTime(actualTime) : '✓') : (isCurrent ? '→' : '')}
                     </span>
+                    ${warning ? `<span class="tracker-warning">⚠ ${warning}</span>` : ''}
                 </div>
             `;
+
+            if (i > 0 && routeLegs[i - 1]?.rest) {
+                html += renderTrackerBreak(routeLegs[i - 1].rest, trackerState.visited[i + 1], delay);
+            }
         }
 
         elements.trackerList.innerHTML = html;
 
+        // Re-planning needs somewhere to start from and somewhere left to go
+        elements.replanBtn.disabled = lastVisited < 0 || lastVisited >= currentResult.route.length - 1;
+
         // Add event listeners
         elements.trackerList.querySelectorAll('.tracker-checkbox').forEach(cb => {
             cb.addEventListener('change', handleTrackerCheck);
         });
     }
 
+    /**
+     * The planned break as its own tracker row, done once the next stop is checked off
+     */
+    function renderTrackerBreak(rest, done, delay) {
+        const late = !done && rest.latest !== null && rest.start + delay > rest.latest;
+
+        return `
+            <div class="tracker-item tracker-break ${done ? 'visited' : ''}">
+                <span class="tracker-break-icon">☕</span>
+                <span class="tracker-name">Break (${Math.round(rest.duration)} min)</span>
+                <span class="tracker-scheduled">${CSVParser.formatTime(rest.start)}</span>
+                <span class="tracker-actual">→ ${CSVParser.formatTime(rest.end)}</span>
+                ${late ? `<span class="tracker-warning">⚠ Break should start by ${CSVParser.formatTime(rest.latest)}</span>` : ''}
+            </div>
+        `;
+    }
+
     function handleTrackerCheck(e) {
         const index = parseInt(e.target.closest('.tracker-item').dataset.index, 10);
         const checked = e.target.checked;
@@ -556,8 +1990,7 @@ const App = (function() {
 
         if (checked) {
             // Record current time
-            const now = new Date();
-            trackerState.actualTimes[index] = now.getHours() * 60 + now.getMinutes();
+            trackerState.actualTimes[index] = getClockMinutes();
         } else {
             trackerState.actualTimes[index] = null;
         }
@@ -575,6 +2008,143 @@ const App = (function() {
         }
     }
 
+    async function handleReplan() {
+        if (!trackerState || !currentResult) return;
+
+        const route = currentResult.route;
+        const lastVisited = findLastVisitedIndex();
+        if (lastVisited < 0 || lastVisited >= route.length - 1) return;
+
+        // Keep visited checkpoints with their recorded times; skipped ones become candidates again
+        const prefix = [];
+        const prefixTimes = [];
+        for (let i = 0; i <= lastVisited; i++) {
+            if (trackerState.visited[i]) {
+                prefix.push(route[i]);
+                prefixTimes.push(trackerState.actualTimes[i]);
+            }
+        }
+
+        const here = route[lastVisited];
+        const lastTime = trackerState.actualTimes[lastVisited];
+        const startTime = Math.max(getClockMinutes(), lastTime ?? 0);
+
+        // A break planned at a checkpoint already reached counts as taken
+        const restIndex = route.indexOf(currentResult.restAfter);
+        const restTaken = restIndex >= 0 && restIndex <= lastVisited;
+
+        showLoading(true, `Re-planning from ${here}...`);
+
+        try {
+            const config = {
+                ...currentResult.config,
+                startFrom: here,
+                startTime,
+                visitedCps: new Set(prefix),
+                restBreak: restTaken ? null : currentResult.config.restBreak,
+                alternatives: 1
+            };
+
+            const result = await SolverClient.run('solve', yearData, config, updateLoadingProgress);
+
+            if (result.infeasible) {
+                alert(result.message);
+                return;
+            }
+
+            // Even heading straight to the finish is too late: keep the plan rather than show a late one
+            if (!reachesFinish(result)) {
+                alert(`The finish can no longer be reached in time from ${here} ` +
+                    `(it closes ${CSVParser.formatTime(finishCutoff())}). Keeping the current plan.`);
+                return;
+            }
+
+            applyReplan(prefix, prefixTimes, result, startTime);
+
+        } catch (err) {
+            if (!err.cancelled) {
+                console.error('[App] Re-plan error:', err);
+                alert('Error re-planning route: ' + err.message);
+            }
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    function applyReplan(prefix, prefixTimes, result, startTime) {
+        const route = applyRemainder(prefix, result, startTime);
+
+        trackerState = {
+            visited: route.map((_, i) => i < prefix.length),
+            actualTimes: route.map((_, i) => (i < prefix.length ? prefixTimes[i] : null))
+        };
+        Storage.savePreference('trackerState', trackerState);
+
+        elements.replanNote.textContent = `Re-planned from ${prefix[prefix.length - 1]} at ` +
+            `${CSVParser.formatTime(startTime)}: ${result.count} more checkpoints, finish ${CSVParser.formatTime(result.finishTime)}`;
+        elements.replanNote.classList.remove('hidden');
+
+        displayResults();
+        renderTracker();
+    }
+
+    /**
+     * Latest the finish accepts arrivals, after its closing under a late penalty
+     */
+    function finishCutoff() {
+        return Solver.getFinishCutoff(yearData.finishWindow, currentResult.config.latePenalty);
+    }
+
+    /**
+     * Whether a re-planned remainder reaches the finish before it stops accepting arrivals
+     * A remainder with no reachable checkpoints still returns a route straight to the finish, however late
+     */
+    function reachesFinish(result) {
+        return result.finishTime <= finishCutoff();
+    }
+
+    /**
+     * Replace the route after prefix with a re-planned remainder leaving at startTime
+     * @returns {Array} The new route
+     */
+    function applyRemainder(prefix, result, startTime) {
+        const route = prefix.concat(result.route.slice(1));
+
+        // Visited legs keep the original plan, without slack as they stop short of the finish;
+        // the remainder is scheduled from now and has its own slack to the finish
+        const prefixLegs = buildRouteLegs(prefix);
+        const remainderLegs = buildRouteLegs(result.route, startTime, result.restAfter);
+        remainderLegs.forEach((leg, i) => {
+            leg.leg = prefixLegs.length + i + 1;
+        });
+        routeLegs = prefixLegs.concat(remainderLegs);
+
+        const summary = RouteCard.summarize(routeLegs);
+        Object.assign(currentResult, {
+            route,
+            count: route.length - 2,
+            totalScore: summary.totalScore,
+            finishTime: result.finishTime,
+            totalDistance: summary.totalDistance,
+            totalHeight: summary.totalHeight,
+            alternatives: [],
+            selectedAlternative: 0,
+            heuristic: result.heuristic,
+            optimalityGap: result.optimalityGap,
+            restAfter: result.restAfter ?? currentResult.restAfter,
+            restMissed: result.restMissed,
+            omitted: result.omitted,
+            sweep: null
+        });
+
+        return route;
+    }
+
+    function getClockMinutes() {
+        const now = new Date();
+        return now.getHours() * 60 + now.getMinutes();
+    }
+
     function findLastVisitedIndex() {
         let last = -1;
         for (let i = 0; i < trackerState.visited.length; i++) {
@@ -600,7 +2170,7 @@ const App = (function() {
         // Get scheduled time
         let scheduledTime;
         if (lastVisitedIndex === 0) {
-            scheduledTime = yearData.startTime;
+            scheduledTime = getPlanStartTime();
         } else {
             scheduledTime = routeLegs[lastVisitedIndex - 1].arriveTime;
         }
@@ -619,6 +2189,56 @@ const App = (function() {
         }
     }
 
+    /**
+     * Minutes behind plan at the last visited checkpoint (0 when on time or ahead)
+     */
+    function getTrackerDelay(lastVisitedIndex) {
+        if (lastVisitedIndex < 0) return 0;
+
+        const actualTime = trackerState.actualTimes[lastVisitedIndex];
+        if (actualTime === null) return 0;
+
+        const scheduledTime = lastVisitedIndex === 0
+            ? getPlanStartTime()
+            : routeLegs[lastVisitedIndex - 1].arriveTime;
+
+        return Math.max(0, actualTime - scheduledTime);
+    }
+
+    /**
+     * Warn when running late means missing a stop's window (under the window rule)
+     * or leaving too little time for later stops
+     */
+    function getWindowWarning(leg, delay) {
+        const projected = leg.arriveTime + delay;
+
+        if (leg.isFinish) {
+            const { finishWindow } = yearData;
+            const cutoff = finishCutoff();
+            if (projected > cutoff) return `Finish closes ${CSVParser.formatTime(cutoff)}`;
+
+            // Late but still accepted under the penalty
+            const penalty = Solver.getLateCost(currentResult.config.latePenalty, finishWindow, projected);
+            return projected > finishWindow.close
+                ? `${Math.ceil(projected - finishWindow.close)} min late (−${RouteCard.formatPoints(penalty)} pts)`
+                : null;
+        }
+
+        const cp = yearData.checkpoints.get(leg.to);
+        const closeOffset = Solver.getCloseOffset(currentResult.config.windowRule, leg.dwellTime);
+        if (leg.missedWindow || Solver.getWaitTime(projected, cp?.openSlots, closeOffset) >= 1e9) {
+            return closeOffset > 0
+                ? `Window missed (must arrive ${Math.round(closeOffset)} min before close)`
+                : 'Window missed';
+        }
+
+        if (projected > leg.latestArrival) {
+            return `Later stops at risk: arrive by ${CSVParser.formatTime(leg.latestArrival)}`;
+        }
+
+        return null;
+    }
+
     function getActualTimeClass(actualTime, scheduledTime) {
         if (actualTime === null || scheduledTime === null) return '';
 
@@ -646,6 +2266,7 @@ const App = (function() {
 
         const summary = RouteCard.summarize(routeLegs);
         RouteCard.downloadHTML(currentResult.route, routeLegs, summary, {
+            ...currentResult.config,
             speed: currentResult.speed,
             dwellTime: currentResult.dwellTime
         });
@@ -655,13 +2276,27 @@ const App = (function() {
         if (!currentResult || !routeLegs) return;
 
         GPXExport.exportRoute(currentResult.route, routeLegs, {
-            name: `DoveTrek Route ${currentYear}`,
+            name: `DoveTrek Route ${getEventLabel()}`,
             description: `${currentResult.route.length - 2} checkpoints at ${currentResult.speed} km/h`
         });
     }
 
     // ===== UI Helpers =====
 
+    /**
+     * Escape text for use in HTML markup and attribute values
+     * (checkpoint and event names come from imported CSVs)
+     */
+    function escapeHtml(str) {
+        if (str === null || str === undefined) return '';
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     function showScreen(screenName) {
         elements.configScreen.classList.remove('active');
         elements.resultsScreen.classList.remove('active');
@@ -683,6 +2318,7 @@ const App = (function() {
     function showLoading(show, text = 'Calculating optimal route...') {
         const loadingText = elements.loadingOverlay.querySelector('.loading-text');
         loadingText.textContent = text;
+        elements.loadingProgress.textContent = '';
 
         if (show) {
             elements.loadingOverlay.classList.remove('hidden');
@@ -691,6 +2327,33 @@ const App = (function() {
         }
     }
 
+    function updateLoadingProgress(progress) {
+        const parts = [];
+
+        if (progress.stage === 'minSpeed') {
+            parts.push(`Speed search ${progress.iteration}/${progress.iterations} (${progress.speed.toFixed(2)} km/h)`);
+        }
+
+        if (progress.stage === 'sweep') {
+            parts.push(`Speed sweep: ${progress.solves} speeds tried (${progress.speed.toFixed(2)} km/h)`);
+        }
+
+        if (progress.startSteps) {
+            parts.push(`Start ${progress.startStep}/${progress.startSteps} (${CSVParser.formatTime(progress.startTime)})`);
+        }
+
+        if (progress.masksTotal) {
+            const percent = Math.round((progress.masksDone / progress.masksTotal) * 100);
+            parts.push(`${progress.masksDone.toLocaleString()} / ${progress.masksTotal.toLocaleString()} masks (${percent}%)`);
+        }
+
+        if (progress.maxDepth) {
+            parts.push(`Beam search ${progress.depth} / ${progress.maxDepth} checkpoints`);
+        }
+
+        elements.loadingProgress.textContent = parts.join(' • ');
+    }
+
     // ===== Public API =====
     return {
         init
@@ -0,0 +1,89 @@
+/**
+ * DoveTrek Constraints Module
+ * Route rules from the course or the team's own knowledge: visit one checkpoint
+ * before another, never walk a leg directly, or walk two checkpoints back to back
+ * Shared by the solver, route card and rule editor
+ */
+
+const Constraints = (function() {
+
+    const TYPES = {
+        BEFORE: 'before', // from is visited before to (when both are on the route)
+        FORBID: 'forbid', // never walk directly from -> to
+        PAIR: 'pair'      // from is always followed directly by to, and to always follows from
+    };
+
+    /**
+     * Clean a list of rules, dropping unknown types, incomplete rules and duplicates
+     * @param {Array} rules - [{type, from, to}]
+     * @returns {Array} Valid rules
+     */
+    function normalize(rules) {
+        const valid = Object.values(TYPES);
+        const seen = new Set();
+        const result = [];
+
+        for (const rule of rules || []) {
+            if (!rule || !valid.includes(rule.type)) continue;
+            if (!rule.from || !rule.to || rule.from === rule.to) continue;
+
+            const key = `${rule.type}|${rule.from}|${rule.to}`;
+            if (seen.has(key)) continue;
+
+            seen.add(key);
+            result.push({ type: rule.type, from: rule.from, to: rule.to });
+        }
+
+        return result;
+    }
+
+    /**
+     * Describe a rule, e.g. "CP3 before CP7"
+     */
+    function describe(rule) {
+        switch (rule.type) {
+            case TYPES.BEFORE:
+                return `${rule.from} before ${rule.to}`;
+            case TYPES.FORBID:
+                return `never ${rule.from} → ${rule.to}`;
+            case TYPES.PAIR:
+                return `${rule.from} then ${rule.to}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Rules that shaped a route: those whose checkpoints are all on it
+     * @param {Array} route - Checkpoint names from start to finish
+     * @param {Array} rules - [{type, from, to}]
+     * @returns {Map} Leg index (into RouteCard legs) -> rule descriptions marked on that leg
+     */
+    function legNotes(route, rules) {
+        const notes = new Map();
+        const add = (legIndex, rule) => {
+            if (legIndex < 0 || legIndex >= route.length - 1) return;
+            if (!notes.has(legIndex)) notes.set(legIndex, []);
+            notes.get(legIndex).push(describe(rule));
+        };
+
+        for (const rule of normalize(rules)) {
+            const fromIndex = route.indexOf(rule.from);
+            const toIndex = route.indexOf(rule.to);
+            if (fromIndex < 0 || toIndex < 0) continue;
+
+            // Before and pair rules are marked on the leg into 'to', forbidden legs on the leg out of 'from'
+            add(rule.type === TYPES.FORBID ? fromIndex : toIndex - 1, rule);
+        }
+
+        return notes;
+    }
+
+    // Public API
+    return {
+        TYPES,
+        normalize,
+        describe,
+        legNotes
+    };
+})();
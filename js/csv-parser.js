@@ -76,12 +76,24 @@ const CSVParser = (function() {
     /**
      * Parse openings CSV into checkpoint data
      * Format: CP,BNG,1000,1030,1100,...,1700 (time slots as columns, 0/1 values)
+     * Optional Score/Points/Value column gives each checkpoint's points,
+     * and an optional Dwell column its dwell time in minutes
      * @param {string} csvText - Raw CSV content
-     * @returns {Object} { checkpoints: Map, startTime: number, finishWindow: {open, close}, timeSlots: Array }
+     * @returns {Object} { checkpoints: Map, startTime: number, startWindow: {open, close},
+     *                    finishWindow: {open, close}, timeSlots: Array }
+     *                    where startWindow is START's first open slot and startTime its opening
      */
     function parseOpenings(csvText) {
         const rows = parse(csvText, true);
-        if (rows.length === 0) return { checkpoints: new Map(), startTime: 600, finishWindow: { open: 960, close: 1020 }, timeSlots: [] };
+        if (rows.length === 0) {
+            return {
+                checkpoints: new Map(),
+                startTime: 600,
+                startWindow: { open: 600, close: 600 },
+                finishWindow: { open: 960, close: 1020 },
+                timeSlots: []
+            };
+        }
 
         // Extract headers to find time slots
         const firstRow = rows[0];
@@ -99,6 +111,7 @@ const CSVParser = (function() {
 
         const checkpoints = new Map();
         let startTime = 600; // 10:00 default
+        let startWindow = { open: startTime, close: startTime };
         let finishWindow = { open: 960, close: 1020 }; // 16:00-17:00 default
 
         for (const row of rows) {
@@ -106,6 +119,8 @@ const CSVParser = (function() {
             if (!name) continue;
 
             const bng = (row['BNG'] || row['bng'] || '').trim();
+            const score = parseScore(row);
+            const dwell = parseDwell(row);
 
             // Parse open slots from time columns
             const openSlots = parseTimeSlots(row, timeSlots);
@@ -114,6 +129,8 @@ const CSVParser = (function() {
                 name,
                 bng,
                 openSlots,
+                score,
+                dwell,
                 coords: null // Will be filled by BNG converter
             };
 
@@ -121,9 +138,13 @@ const CSVParser = (function() {
             const upperName = name.toUpperCase();
             if (upperName === 'START' || upperName === 'STRT') {
                 checkpoint.isStart = true;
-                // Start time is the first open slot
+                // Start time is the first open slot, which may allow a staggered start
                 if (openSlots.length > 0) {
                     startTime = openSlots[0].open;
+                    startWindow = {
+                        open: openSlots[0].open,
+                        close: openSlots[0].close
+                    };
                 }
             } else if (upperName === 'FINISH' || upperName === 'FIN') {
                 checkpoint.isFinish = true;
@@ -139,7 +160,31 @@ const CSVParser = (function() {
             checkpoints.set(name, checkpoint);
         }
 
-        return { checkpoints, startTime, finishWindow, timeSlots };
+        return { checkpoints, startTime, startWindow, finishWindow, timeSlots };
+    }
+
+    /**
+     * Parse optional checkpoint score column
+     * @returns {number|null} Score, or null if the column is missing or blank
+     */
+    function parseScore(row) {
+        const raw = row['Score'] ?? row['score'] ?? row['Points'] ?? row['points'] ?? row['Value'] ?? row['value'];
+        if (raw === undefined || raw.trim() === '') return null;
+
+        const score = parseFloat(raw);
+        return isNaN(score) ? null : score;
+    }
+
+    /**
+     * Parse optional checkpoint dwell time column (minutes)
+     * @returns {number|null} Dwell time, or null if the column is missing or blank
+     */
+    function parseDwell(row) {
+        const raw = row['Dwell'] ?? row['dwell'] ?? row['DwellTime'] ?? row['Dwell Time'] ?? row['dwell_time'];
+        if (raw === undefined || raw.trim() === '') return null;
+
+        const dwell = parseFloat(raw);
+        return isNaN(dwell) || dwell < 0 ? null : dwell;
     }
 
     /**
@@ -0,0 +1,177 @@
+/**
+ * DoveTrek Data Sources Module
+ * Where competition data is fetched from: the Dovetrek GitHub repository, a fork,
+ * or a plain HTTP directory such as a local mirror for offline events
+ */
+
+const DataSources = (function() {
+
+    const TYPES = {
+        GITHUB: 'github', // raw files from a repository, openings on the main branch, distances on the file store branch
+        HTTP: 'http'      // one directory holding CheckpointData/ and DataFrames/
+    };
+
+    const DEFAULT_SOURCE = {
+        type: TYPES.GITHUB,
+        rawBase: 'https://raw.githubusercontent.com',
+        owner: 'liamj-f',
+        repo: 'Dovetrek',
+        mainBranch: 'main',
+        fileStoreBranch: 'FileStore'
+    };
+
+    const GITHUB_API_BASE = 'https://api.github.com';
+
+    const TEST_TIMEOUT_MS = 8000;
+
+    /**
+     * Clean a source, filling GitHub defaults
+     * @returns {Object|null} Source, or null if it has no usable URL
+     */
+    function normalize(source) {
+        if (!source) return null;
+
+        const trimUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+        if (source.type === TYPES.HTTP) {
+            const baseUrl = trimUrl(source.baseUrl);
+            return baseUrl ? { type: TYPES.HTTP, baseUrl } : null;
+        }
+
+        const field = (key) => (source[key] || '').trim() || DEFAULT_SOURCE[key];
+        return {
+            type: TYPES.GITHUB,
+            rawBase: trimUrl(source.rawBase) || DEFAULT_SOURCE.rawBase,
+            owner: field('owner'),
+            repo: field('repo'),
+            mainBranch: field('mainBranch'),
+            fileStoreBranch: field('fileStoreBranch')
+        };
+    }
+
+    /**
+     * Configured sources, in the order they are tried
+     */
+    function getSources() {
+        const sources = Storage.getPreference('dataSources', null);
+        const valid = (sources || []).map(normalize).filter(Boolean);
+        return valid.length > 0 ? valid : [{ ...DEFAULT_SOURCE }];
+    }
+
+    function saveSources(sources) {
+        const valid = sources.map(normalize).filter(Boolean);
+        Storage.savePreference('dataSources', valid);
+        return valid.length > 0 ? valid : [{ ...DEFAULT_SOURCE }];
+    }
+
+    function resetSources() {
+        Storage.removePreference('dataSources');
+        return getSources();
+    }
+
+    /**
+     * URL prefix every file of a source starts with, so the service worker can recognise data requests
+     */
+    function prefix(source) {
+        if (source.type === TYPES.HTTP) return `${source.baseUrl}/`;
+        return `${source.rawBase}/${source.owner}/${source.repo}/`;
+    }
+
+    function openingsUrl(source, year) {
+        const path = `CheckpointData/Openings_${year}.csv`;
+        if (source.type === TYPES.HTTP) return `${source.baseUrl}/${path}`;
+        return `${prefix(source)}${source.mainBranch}/${path}`;
+    }
+
+    function distancesUrl(source, filename) {
+        const path = `DataFrames/${encodeURIComponent(filename)}`;
+        if (source.type === TYPES.HTTP) return `${source.baseUrl}/${path}`;
+        return `${prefix(source)}${source.fileStoreBranch}/${path}`;
+    }
+
+    /**
+     * URL of the source's optional index.json manifest listing its years
+     */
+    function indexUrl(source) {
+        if (source.type === TYPES.HTTP) return `${source.baseUrl}/index.json`;
+        return `${prefix(source)}${source.mainBranch}/index.json`;
+    }
+
+    /**
+     * GitHub contents API URL listing CheckpointData/
+     * @returns {string|null} URL, or null for sources not hosted on github.com
+     */
+    function contentsUrl(source) {
+        if (source.type !== TYPES.GITHUB || source.rawBase !== DEFAULT_SOURCE.rawBase) return null;
+        return `${GITHUB_API_BASE}/repos/${source.owner}/${source.repo}/contents/CheckpointData?ref=${encodeURIComponent(source.mainBranch)}`;
+    }
+
+    /**
+     * Describe a source, e.g. "liamj-f/Dovetrek (main, FileStore)"
+     */
+    function describe(source) {
+        if (source.type === TYPES.HTTP) return source.baseUrl;
+
+        const repo = `${source.owner}/${source.repo} (${source.mainBranch}, ${source.fileStoreBranch})`;
+        return source.rawBase === DEFAULT_SOURCE.rawBase ? repo : `${repo} at ${source.rawBase}`;
+    }
+
+    /**
+     * Check a source answers for a year's openings file
+     * Uses HEAD so the service worker passes the request to the network instead of its cache
+     * @returns {Promise<Object>} {ok, message}
+     */
+    async function test(source, year) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), TEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(openingsUrl(source, year), {
+                method: 'HEAD',
+                cache: 'no-store',
+                signal: controller.signal
+            });
+
+            if (response.ok) return { ok: true, message: `Reachable, has ${year} openings` };
+            if (response.status === 404) return { ok: false, message: `Reachable, but no ${year} openings (404)` };
+            return { ok: false, message: `HTTP ${response.status}` };
+        } catch (err) {
+            return { ok: false, message: err.name === 'AbortError' ? 'No response (timed out)' : 'Unreachable' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Tell the service worker which URLs hold data, so it caches them for offline use
+     */
+    function notifyServiceWorker(sources = getSources()) {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.ready.then((registration) => {
+            if (!registration.active) return;
+            registration.active.postMessage({
+                type: 'SET_DATA_SOURCES',
+                prefixes: sources.map(source => new URL(prefix(source), location.href).href)
+            });
+        });
+    }
+
+    // Public API
+    return {
+        TYPES,
+        DEFAULT_SOURCE,
+        normalize,
+        getSources,
+        saveSources,
+        resetSources,
+        prefix,
+        openingsUrl,
+        distancesUrl,
+        indexUrl,
+        contentsUrl,
+        describe,
+        test,
+        notifyServiceWorker
+    };
+})();
@@ -1,20 +1,18 @@
 /**
  * DoveTrek GitHub Loader Module
- * Fetches checkpoint and distance data from GitHub repository
+ * Fetches checkpoint and distance data from the configured data sources
+ * (the GitHub repository by default, see DataSources)
  */
 
 const GitHubLoader = (function() {
 
-    const REPO_OWNER = 'liamj-f';
-    const REPO_NAME = 'Dovetrek';
-    const MAIN_BRANCH = 'main';
-    const FILESTORE_BRANCH = 'FileStore';
-
-    const RAW_BASE = `https://raw.githubusercontent.com/${REPO_OWNER}/${REPO_NAME}`;
-
-    // Known years with data
+    // Years known when this version was released, used before any list has been discovered
     const KNOWN_YEARS = [2017, 2018, 2019, 2024, 2025];
 
+    // Directory listings of years are reused for this long before asking GitHub again
+    const YEARS_CACHE_MS = 60 * 60 * 1000;
+    const YEARS_TIMEOUT_MS = 8000;
+
     // Distance data sources (in order of preference)
     const DISTANCE_SOURCES = ['Bing Maps', 'Google Maps', 'Azure Maps & OpenTopoData'];
 
@@ -28,13 +26,105 @@ const GitHubLoader = (function() {
     };
 
     /**
-     * Fetch available years from repository
-     * Falls back to known years if API call fails
+     * Fetch available years from the data sources
+     * Each source is asked for an index.json manifest, then (on GitHub) for a listing of CheckpointData/.
+     * Manifests are fetched every time so new years show at once; listings count against GitHub's
+     * rate limit, so a list found within the last hour stands in for them, as it does when they fail
+     * or the app is offline
+     * @param {boolean} refresh - Ask for listings even if the cached list is recent
+     * @returns {Promise<Array>} Years, most recent first
      */
-    async function fetchAvailableYears() {
-        // Return known years (GitHub API rate limiting makes directory listing unreliable)
-        // Could enhance this later with API call to list CheckpointData directory
-        return KNOWN_YEARS.slice().sort((a, b) => b - a); // Descending order
+    async function fetchAvailableYears(refresh = false) {
+        const cached = Storage.getPreference('availableYears', null);
+        const listingsFresh = !refresh && cached && Date.now() - cached.timestamp < YEARS_CACHE_MS;
+
+        const found = new Set();
+        let useCached = false;
+        let listed = false;
+
+        for (const dataSource of DataSources.getSources()) {
+            let years = await fetchManifestYears(dataSource);
+
+            if (!years && DataSources.contentsUrl(dataSource)) {
+                years = listingsFresh ? null : await fetchListingYears(dataSource);
+                if (years) listed = true;
+                else useCached = true;
+            }
+
+            if (years) years.forEach(year => found.add(year));
+        }
+
+        if (useCached && cached) {
+            cached.years.forEach(year => found.add(year));
+        }
+
+        if (found.size > 0) {
+            const years = Array.from(found).sort((a, b) => b - a); // Descending order
+
+            // The timestamp records when listings were last fetched
+            const timestamp = listed ? Date.now() : (cached ? cached.timestamp : 0);
+            Storage.savePreference('availableYears', { years, timestamp });
+            return years;
+        }
+
+        if (cached) {
+            console.log('[GitHubLoader] Year discovery failed, using last known list');
+            return cached.years;
+        }
+
+        return KNOWN_YEARS.slice().sort((a, b) => b - a);
+    }
+
+    /**
+     * Years listed in a source's index.json manifest: {"years": [2017, 2018]} or [2017, 2018]
+     * Bypasses the HTTP cache; the service worker fetches manifests network first
+     * @returns {Promise<Array|null>} Years, or null if the source has no manifest
+     */
+    async function fetchManifestYears(dataSource) {
+        const manifest = await fetchJson(DataSources.indexUrl(dataSource), { cache: 'no-store' });
+        const listed = manifest && (Array.isArray(manifest) ? manifest : manifest.years);
+        if (!Array.isArray(listed)) return null;
+
+        const years = listed.map(year => parseInt(year, 10)).filter(year => year > 0);
+        console.log(`[GitHubLoader] ${years.length} years from index.json of ${DataSources.describe(dataSource)}`);
+        return years;
+    }
+
+    /**
+     * Years with an Openings_{year}.csv in a GitHub source's CheckpointData/, from the contents API
+     * @returns {Promise<Array|null>} Years, or null if the listing failed
+     */
+    async function fetchListingYears(dataSource) {
+        const contents = await fetchJson(DataSources.contentsUrl(dataSource));
+        if (!Array.isArray(contents)) return null;
+
+        const years = contents
+            .map(file => /^Openings_(\d{4})\.csv$/.exec(file.name))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10));
+        console.log(`[GitHubLoader] ${years.length} years from CheckpointData/ of ${DataSources.describe(dataSource)}`);
+        return years;
+    }
+
+    /**
+     * Fetch and parse JSON, giving up after a timeout
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Extra fetch options
+     * @returns {Promise<*>} Parsed JSON, or null on any failure
+     */
+    async function fetchJson(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), YEARS_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (e) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
     /**
@@ -50,21 +140,32 @@ const GitHubLoader = (function() {
             return cached;
         }
 
-        // Fetch from GitHub
-        const url = `${RAW_BASE}/${MAIN_BRANCH}/CheckpointData/Openings_${year}.csv`;
-        console.log(`[GitHubLoader] Fetching openings: ${url}`);
+        // Fetch from each data source in turn
+        const failures = [];
 
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch openings for ${year}: ${response.status}`);
-        }
+        for (const dataSource of DataSources.getSources()) {
+            const url = DataSources.openingsUrl(dataSource, year);
+            console.log(`[GitHubLoader] Fetching openings: ${url}`);
+
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    failures.push(response.status);
+                    continue;
+                }
+
+                const csvText = await response.text();
 
-        const csvText = await response.text();
+                // Cache for offline use
+                await Storage.saveOpenings(year, csvText, DataSources.describe(dataSource));
 
-        // Cache for offline use
-        await Storage.saveOpenings(year, csvText);
+                return csvText;
+            } catch (e) {
+                failures.push(e.message);
+            }
+        }
 
-        return csvText;
+        throw new Error(`Failed to fetch openings for ${year}: ${failures.join(', ')}`);
     }
 
     /**
@@ -81,20 +182,22 @@ const GitHubLoader = (function() {
             return cached;
         }
 
-        // Try to fetch from FileStore branch
+        // Try to fetch from each data source's file store
         // File naming pattern: Distances_DF_{year}_{source}_{date}.csv
 
-        for (const source of DISTANCE_SOURCES) {
-            try {
-                // List files would require GitHub API, so we'll try known patterns
-                // For now, try to fetch with a recent date pattern
-                const attempts = await tryFetchDistanceFile(year, source);
-                if (attempts) {
-                    await Storage.saveDistances(year, source, attempts);
-                    return attempts;
+        for (const dataSource of DataSources.getSources()) {
+            for (const source of DISTANCE_SOURCES) {
+                try {
+                    // List files would require GitHub API, so we'll try known patterns
+                    // For now, try to fetch with a recent date pattern
+                    const attempts = await tryFetchDistanceFile(year, source, dataSource);
+                    if (attempts) {
+                        await Storage.saveDistances(year, source, attempts, DataSources.describe(dataSource));
+                        return attempts;
+                    }
+                } catch (e) {
+                    console.log(`[GitHubLoader] Failed to fetch ${source} distances:`, e.message);
                 }
-            } catch (e) {
-                console.log(`[GitHubLoader] Failed to fetch ${source} distances:`, e.message);
             }
         }
 
@@ -105,15 +208,18 @@ const GitHubLoader = (function() {
 
     /**
      * Try to fetch distance file with various date patterns
+     * @param {number} year - Competition year
+     * @param {string} source - Distance provider, e.g. 'Bing Maps'
+     * @param {Object} dataSource - Data source to fetch from (see DataSources)
      */
-    async function tryFetchDistanceFile(year, source) {
+    async function tryFetchDistanceFile(year, source, dataSource) {
         // First, try known exact files
         const knownFiles = KNOWN_DISTANCE_FILES[year] || [];
         const knownFile = knownFiles.find(f => f.source === source);
 
         if (knownFile) {
             const filename = `Distances_DF_${year}_${source}_${knownFile.date}.csv`;
-            const url = `${RAW_BASE}/${FILESTORE_BRANCH}/DataFrames/${encodeURIComponent(filename)}`;
+            const url = DataSources.distancesUrl(dataSource, filename);
 
             try {
                 const response = await fetch(url);
@@ -131,7 +237,7 @@ const GitHubLoader = (function() {
 
         for (const date of dates) {
             const filename = `Distances_DF_${year}_${source}_${date}.csv`;
-            const url = `${RAW_BASE}/${FILESTORE_BRANCH}/DataFrames/${encodeURIComponent(filename)}`;
+            const url = DataSources.distancesUrl(dataSource, filename);
 
             try {
                 const response = await fetch(url);
@@ -146,7 +252,7 @@ const GitHubLoader = (function() {
 
         // Also try without date suffix
         const baseFilename = `Distances_DF_${year}_${source}.csv`;
-        const baseUrl = `${RAW_BASE}/${FILESTORE_BRANCH}/DataFrames/${encodeURIComponent(baseFilename)}`;
+        const baseUrl = DataSources.distancesUrl(dataSource, baseFilename);
 
         try {
             const response = await fetch(baseUrl);
@@ -187,8 +293,23 @@ const GitHubLoader = (function() {
      * @returns {Promise<Object>} {openings, distances, checkpoints}
      */
     async function loadYear(year) {
-        // Fetch openings
         const openingsCSV = await fetchOpenings(year);
+
+        // Fetch distances (may be null)
+        const distancesCSV = await fetchDistances(year);
+
+        return buildYearData(year, openingsCSV, distancesCSV, 'GitHub');
+    }
+
+    /**
+     * Parse openings and distances CSVs into year data
+     * Distances are calculated from checkpoint coordinates when no distances CSV is given
+     * @param {number|string} year - Competition year, or an imported event id
+     * @param {string} openingsCSV - Raw openings CSV
+     * @param {string|null} distancesCSV - Raw distances CSV
+     * @param {string} distanceSource - Label for where the distances CSV came from
+     */
+    function buildYearData(year, openingsCSV, distancesCSV, distanceSource) {
         const openingsData = CSVParser.parseOpenings(openingsCSV);
 
         // Convert BNG to coordinates
@@ -198,8 +319,6 @@ const GitHubLoader = (function() {
             }
         }
 
-        // Fetch distances (may be null)
-        const distancesCSV = await fetchDistances(year);
         let distanceMap = null;
 
         if (distancesCSV) {
@@ -214,9 +333,10 @@ const GitHubLoader = (function() {
             year,
             checkpoints: openingsData.checkpoints,
             startTime: openingsData.startTime,
+            startWindow: openingsData.startWindow,
             finishWindow: openingsData.finishWindow,
             distances: distanceMap,
-            distanceSource: distancesCSV ? 'GitHub' : 'Calculated'
+            distanceSource: distancesCSV ? distanceSource : 'Calculated'
         };
     }
 
@@ -226,6 +346,7 @@ const GitHubLoader = (function() {
     async function clearCache() {
         await Storage.clearCache(Storage.STORES.OPENINGS);
         await Storage.clearCache(Storage.STORES.DISTANCES);
+        Storage.removePreference('availableYears');
 
         // Also tell service worker to clear
         if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
@@ -235,6 +356,42 @@ const GitHubLoader = (function() {
         }
     }
 
+    /**
+     * Clear cached data fetched from sources no longer configured, keeping the rest for offline use
+     * Data cached before sources were configurable came from the default source
+     * @param {Array} removed - Sources that have been removed
+     * @param {Array} kept - Sources still configured
+     */
+    async function clearSourceCache(removed, kept) {
+        const keptNames = new Set(kept.map(DataSources.describe));
+        const removedNames = new Set(removed.map(DataSources.describe).filter(name => !keptNames.has(name)));
+        if (removedNames.size === 0) return;
+
+        const fromRemoved = entry => removedNames.has(entry.dataSource || DataSources.describe(DataSources.DEFAULT_SOURCE));
+
+        const openings = await Storage.getAllFromCache(Storage.STORES.OPENINGS);
+        for (const entry of openings.filter(fromRemoved)) {
+            await Storage.deleteFromCache(Storage.STORES.OPENINGS, entry.year);
+        }
+
+        const distances = await Storage.getAllFromCache(Storage.STORES.DISTANCES);
+        for (const entry of distances.filter(fromRemoved)) {
+            await Storage.deleteFromCache(Storage.STORES.DISTANCES, entry.key);
+        }
+
+        // Service worker copies, unless another source still shares the URL prefix
+        const keptPrefixes = new Set(kept.map(DataSources.prefix));
+        const prefixes = removed.map(DataSources.prefix).filter(prefix => !keptPrefixes.has(prefix));
+        if (prefixes.length > 0 && 'serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({
+                type: 'CLEAR_DATA_CACHE',
+                prefixes: prefixes.map(prefix => new URL(prefix, location.href).href)
+            });
+        }
+
+        console.log(`[GitHubLoader] Cleared cached data from ${Array.from(removedNames).join(', ')}`);
+    }
+
     /**
      * Check if data is available for a year (checks cache)
      */
@@ -243,14 +400,25 @@ const GitHubLoader = (function() {
         return cached !== null;
     }
 
+    /**
+     * Years whose openings are cached, so they can be loaded offline
+     */
+    async function getOfflineYears() {
+        const cached = await Storage.getAllFromCache(Storage.STORES.OPENINGS);
+        return cached.map(entry => entry.year);
+    }
+
     // Public API
     return {
         fetchAvailableYears,
         fetchOpenings,
         fetchDistances,
         loadYear,
+        buildYearData,
         clearCache,
+        clearSourceCache,
         hasDataForYear,
+        getOfflineYears,
         KNOWN_YEARS
     };
 })();
@@ -0,0 +1,202 @@
+/**
+ * DoveTrek Local Import Module
+ * Imports openings and distance CSVs from local files as named custom events,
+ * for practice events, other organisers' events or a year not yet on GitHub
+ */
+
+const LocalImport = (function() {
+
+    const EVENT_PREFIX = 'event:';
+
+    /**
+     * Whether a year-select value is an imported event rather than a GitHub year
+     */
+    function isEventId(value) {
+        return typeof value === 'string' && value.startsWith(EVENT_PREFIX);
+    }
+
+    /**
+     * Event id for a name, so importing under the same name replaces the event.
+     * Names differing only in case or punctuation share an id (see findEvent)
+     */
+    function eventId(name) {
+        const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return EVENT_PREFIX + (slug || Date.now());
+    }
+
+    /**
+     * Guess whether a CSV holds openings (time slot columns) or distances
+     * @returns {string|null} 'openings', 'distances', or null if it has no header
+     */
+    function detectKind(csvText) {
+        const headerLine = csvText.replace(/^\uFEFF/, '').trim().split(/\r?\n/)[0];
+        if (!headerLine) return null;
+
+        const headers = CSVParser.parse(headerLine, false)[0].map(h => h.trim());
+        return headers.some(h => /^\d{4}$/.test(h)) ? 'openings' : 'distances';
+    }
+
+    /**
+     * Read a File as text
+     */
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Check that the CSVs describe a plannable event
+     * @param {string} openingsText - Raw openings CSV
+     * @param {string|null} distancesText - Raw distances CSV (optional when checkpoints have grid refs)
+     * @returns {Object} {errors, warnings, checkpoints, legs}
+     */
+    function validate(openingsText, distancesText) {
+        const errors = [];
+        const warnings = [];
+
+        if (!openingsText) {
+            return { errors: ['No openings CSV'], warnings, checkpoints: 0, legs: 0 };
+        }
+
+        const openings = CSVParser.parseOpenings(openingsText);
+        const names = Array.from(openings.checkpoints.keys());
+        const checkpoints = names.filter(name => {
+            const cp = openings.checkpoints.get(name);
+            return !cp.isStart && !cp.isFinish;
+        });
+
+        if (openings.timeSlots.length === 0) errors.push('Openings CSV has no time slot columns (e.g. 1000, 1030)');
+        if (!names.some(name => openings.checkpoints.get(name).isStart)) errors.push('Openings CSV has no START row');
+        if (!names.some(name => openings.checkpoints.get(name).isFinish)) errors.push('Openings CSV has no FINISH row');
+        if (checkpoints.length === 0) errors.push('Openings CSV has no checkpoints');
+
+        let legs = 0;
+
+        if (distancesText) {
+            const distances = CSVParser.parseDistances(distancesText);
+            const unknown = new Set();
+            const connected = new Set();
+
+            for (const leg of distances.values()) {
+                const fromKnown = openings.checkpoints.has(leg.from);
+                const toKnown = openings.checkpoints.has(leg.to);
+                if (!fromKnown) unknown.add(leg.from);
+                if (!toKnown) unknown.add(leg.to);
+                if (!fromKnown || !toKnown) continue;
+
+                legs++;
+                connected.add(leg.from);
+                connected.add(leg.to);
+            }
+
+            if (distances.size === 0) {
+                errors.push('Distances CSV has no legs');
+            } else if (legs === 0) {
+                errors.push('No distances CSV legs match the openings checkpoints');
+            }
+
+            if (unknown.size > 0) {
+                warnings.push(`Distances name unknown checkpoints: ${Array.from(unknown).slice(0, 5).join(', ')}${unknown.size > 5 ? '…' : ''}`);
+            }
+
+            const isolated = legs > 0 ? names.filter(name => !connected.has(name)) : [];
+            if (isolated.length > 0) {
+                warnings.push(`No distances for ${isolated.join(', ')}`);
+            }
+        } else {
+            const located = names.filter(name => BNGConverter.isValid(openings.checkpoints.get(name).bng));
+
+            if (located.length === 0) {
+                errors.push('No distances CSV, and no grid references to calculate distances from');
+            } else if (located.length < names.length) {
+                warnings.push(`No grid reference for ${names.filter(name => !located.includes(name)).join(', ')}`);
+            }
+
+            legs = located.length * (located.length - 1);
+        }
+
+        return { errors, warnings, checkpoints: checkpoints.length, legs };
+    }
+
+    /**
+     * Validate and store an event
+     * @param {Object} event - {name, openingsText, distancesText}
+     * @returns {Promise<Object>} {id, name, warnings}
+     */
+    async function importEvent({ name, openingsText, distancesText }) {
+        const eventName = (name || '').trim();
+        if (!eventName) throw new Error('Give the event a name');
+
+        const check = validate(openingsText, distancesText);
+        if (check.errors.length > 0) throw new Error(check.errors.join('; '));
+
+        const id = eventId(eventName);
+        await Storage.saveEvent({
+            id,
+            name: eventName,
+            openings: openingsText,
+            distances: distancesText || null
+        });
+
+        console.log(`[LocalImport] Imported ${eventName}: ${check.checkpoints} checkpoints, ${check.legs} legs`);
+        return { id, name: eventName, warnings: check.warnings };
+    }
+
+    /**
+     * Stored event that importing under this name would replace
+     * @param {string} name - Event name
+     * @returns {Promise<Object|null>} The stored event, or null if the name is new
+     */
+    async function findEvent(name) {
+        const eventName = (name || '').trim();
+        if (!eventName) return null;
+        return (await Storage.getEvent(eventId(eventName))) || null;
+    }
+
+    /**
+     * List imported events by name
+     * @returns {Promise<Array>} [{id, name, timestamp}]
+     */
+    async function listEvents() {
+        const events = await Storage.getEvents();
+        return events
+            .map(({ id, name, timestamp }) => ({ id, name, timestamp }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Load an imported event in the same shape as GitHubLoader.loadYear
+     * @param {string} id - Event id
+     */
+    async function loadEvent(id) {
+        const event = await Storage.getEvent(id);
+        if (!event) throw new Error('Imported event not found');
+
+        const data = GitHubLoader.buildYearData(id, event.openings, event.distances, 'Imported');
+        data.name = event.name;
+        return data;
+    }
+
+    async function deleteEvent(id) {
+        await Storage.deleteEvent(id);
+        console.log(`[LocalImport] Deleted ${id}`);
+    }
+
+    // Public API
+    return {
+        EVENT_PREFIX,
+        isEventId,
+        detectKind,
+        readFile,
+        validate,
+        importEvent,
+        findEvent,
+        listEvents,
+        loadEvent,
+        deleteEvent
+    };
+})();
@@ -0,0 +1,133 @@
+/**
+ * DoveTrek Robustness Module
+ * Monte Carlo replay of a planned route with random walking speed and dwell times
+ */
+
+const Robustness = (function() {
+
+    const DEFAULT_RUNS = 1000;
+    const DEFAULT_SPEED_SPREAD = 10; // % standard deviation of per-leg speed
+    const DEFAULT_DWELL_SPREAD = 2;  // minutes standard deviation of dwell
+
+    // Never sample a leg slower than this fraction of planned speed
+    const MIN_SPEED_FACTOR = 0.5;
+
+    const PERCENTILES = [10, 50, 90];
+
+    /**
+     * Simulate a planned route many times
+     * A checkpoint whose windows have all closed on arrival is missed and skipped
+     * @param {Array} legs - Route card legs from RouteCard.build
+     * @param {Object} data - Loaded year data (checkpoints, finishWindow)
+     * @param {Object} config - {speed, dwellTime, travelModel, ...} as used for the route card
+     * @param {Object} options - {runs, speedSpread: %, dwellSpread: minutes, seed}
+     * @returns {Object} {runs, onTimeProbability, cleanProbability, finishPercentiles, misses}
+     *                   where misses lists {name, probability} for checkpoints missed in any run
+     *                   and on time allows any lateness accepted under config.latePenalty
+     */
+    function simulate(legs, data, config, options = {}) {
+        const runs = options.runs || DEFAULT_RUNS;
+        const speedSpread = (options.speedSpread ?? DEFAULT_SPEED_SPREAD) / 100;
+        const dwellSpread = options.dwellSpread ?? DEFAULT_DWELL_SPREAD;
+        const random = createRandom(options.seed ?? 1);
+        const { checkpoints, finishWindow } = data;
+        const finishClose = Solver.getFinishCutoff(finishWindow, config.latePenalty);
+
+        if (!legs || legs.length === 0) {
+            return { runs: 0, onTimeProbability: 0, cleanProbability: 0, finishPercentiles: [], misses: [] };
+        }
+
+        const missCounts = new Map();
+        const finishTimes = new Float64Array(runs);
+        let onTime = 0;
+        let clean = 0;
+
+        for (let run = 0; run < runs; run++) {
+            let time = legs[0].departTime;
+            let missed = 0;
+
+            for (const leg of legs) {
+                const factor = Math.max(MIN_SPEED_FACTOR, 1 + normal(random) * speedSpread);
+                const travel = TravelModel.legMinutes(leg.distance, leg.heightGain, config, time) / factor;
+                const arriveTime = time + travel;
+
+                if (leg.isFinish) {
+                    time = arriveTime;
+                    break;
+                }
+
+                const toCp = checkpoints.get(leg.to);
+                const closeOffset = Solver.getCloseOffset(config.windowRule, leg.dwellTime);
+                const waitTime = toCp ? Solver.getWaitTime(arriveTime, toCp.openSlots, closeOffset) : 0;
+
+                if (waitTime >= 1e9) {
+                    // Closed for the rest of the day: walk on without stopping
+                    missCounts.set(leg.to, (missCounts.get(leg.to) || 0) + 1);
+                    missed++;
+                    time = arriveTime;
+                } else {
+                    const dwell = Math.max(0, leg.dwellTime + normal(random) * dwellSpread);
+                    time = arriveTime + waitTime + dwell + (leg.delay || 0);
+                }
+
+                // The planned break is still taken, no earlier than its window allows
+                if (leg.rest) {
+                    time = Math.max(time, leg.rest.earliest ?? time) + leg.rest.duration;
+                }
+            }
+
+            finishTimes[run] = time;
+            if (time <= finishClose) {
+                onTime++;
+                if (missed === 0) clean++;
+            }
+        }
+
+        finishTimes.sort();
+
+        const misses = Array.from(missCounts, ([name, count]) => ({ name, probability: count / runs }))
+            .sort((a, b) => b.probability - a.probability);
+
+        return {
+            runs,
+            onTimeProbability: onTime / runs,
+            cleanProbability: clean / runs,
+            finishPercentiles: PERCENTILES.map(p => ({
+                percentile: p,
+                time: finishTimes[Math.min(runs - 1, Math.floor(runs * p / 100))]
+            })),
+            misses
+        };
+    }
+
+    /**
+     * Seeded random number generator (mulberry32), so repeated runs agree
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     */
+    function normal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // Public API
+    return {
+        DEFAULT_RUNS,
+        DEFAULT_SPEED_SPREAD,
+        DEFAULT_DWELL_SPREAD,
+        simulate
+    };
+})();
@@ -5,19 +5,35 @@
 
 const RouteCard = (function() {
 
+    // Stops with less slack than this are highlighted
+    const LOW_SLACK_MINUTES = 10;
+
+    // Bisection steps for the latest departure under a time-dependent speed profile (to well under a second)
+    const DEPART_BISECTIONS = 30;
+
     /**
      * Build route card with detailed leg information
      * @param {Array} route - Array of checkpoint names
      * @param {Object} data - Year data with checkpoints and distances
-     * @param {Object} config - {speed, dwellTime, startTime}
-     * @returns {Array} Array of leg objects
+     * @param {Object} config - {speed, dwellTime, dwellTimes, startTime, scores, windowRule,
+     *                           travelModel, naismithMinutes, fitness, speedProfile,
+     *                           restBreak, restAfter: checkpoint the solver placed the break at,
+     *                           latePenalty, constraints: route rules,
+     *                           delays: Map of checkpoint name -> extra minutes spent there (what-if)}
+     * @returns {Array} Array of leg objects, each with backward slack (see addSlack), delay and rules
+     *                  (descriptions of the route rules that shaped it); the leg to the break checkpoint has
+     *                  rest: {start, end, wait, duration, earliest, latest}, and the finish leg
+     *                  lateMinutes and latePenalty when it arrives after the finish closes
      */
     function build(route, data, config) {
-        const { checkpoints, distances, startTime } = data;
-        const { speed, dwellTime } = config;
+        const { checkpoints, distances } = data;
+        const { speed, dwellTime, dwellTimes, scores } = config;
+        const startTime = config.startTime ?? data.startTime;
+        const rest = Solver.getRestBreak(config.restBreak);
 
         const legs = [];
         let currentTime = startTime;
+        let walked = 0;
 
         for (let i = 0; i < route.length - 1; i++) {
             const from = route[i];
@@ -31,22 +47,42 @@ const RouteCard = (function() {
 
             const distance = distData ? distData.distance : 0;
             const heightGain = distData ? distData.heightGain : 0;
-            const travelMinutes = speed > 0 ? (distance / speed) * 60 : 0;
 
             const departTime = currentTime;
+            const travelMinutes = speed > 0 ? TravelModel.legMinutes(distance, heightGain, config, departTime) : 0;
             const arriveTime = departTime + travelMinutes;
 
-            // Calculate wait time if arriving before checkpoint opens
+            // Dwell time (per-checkpoint overrides, none at finish)
+            const actualDwell = Solver.getCheckpointDwell(to, checkpoints, dwellTimes, dwellTime);
+
+            // Calculate wait time if arriving before checkpoint (or the finish) opens
             let waitTime = 0;
-            if (toCp && toCp.openSlots && toCp.openSlots.length > 0) {
-                waitTime = Solver.getWaitTime(arriveTime, toCp.openSlots);
-                if (waitTime === 1e9) waitTime = 0; // Handle INF
+            let missedWindow = false;
+            let lateMinutes = 0;
+            if (toCp?.isFinish && data.finishWindow) {
+                // Finishing late is allowed, at a cost, under a late penalty
+                waitTime = Math.max(0, data.finishWindow.open - arriveTime);
+                missedWindow = arriveTime > Solver.getFinishCutoff(data.finishWindow, config.latePenalty);
+                lateMinutes = Math.max(0, arriveTime - data.finishWindow.close);
+            } else if (toCp && toCp.openSlots && toCp.openSlots.length > 0) {
+                const closeOffset = Solver.getCloseOffset(config.windowRule, actualDwell);
+                waitTime = Solver.getWaitTime(arriveTime, toCp.openSlots, closeOffset);
+                if (waitTime === 1e9) {
+                    // Handle INF: too late for every slot under the window rule
+                    waitTime = 0;
+                    missedWindow = true;
+                }
             }
 
-            // Dwell time (except at finish)
-            const actualDwell = toCp?.isFinish ? 0 : dwellTime;
+            // Time lost at the stop on top of its dwell
+            const delay = toCp?.isFinish ? 0 : Math.max(0, config.delays?.get(to) || 0);
 
-            const readyTime = arriveTime + waitTime + actualDwell;
+            walked += distance;
+            const leaveTime = arriveTime + waitTime + actualDwell + delay;
+            const restPlan = rest && !toCp?.isFinish && to === config.restAfter
+                ? planRest(rest, leaveTime, walked)
+                : null;
+            const readyTime = restPlan ? restPlan.end : leaveTime;
 
             legs.push({
                 leg: i + 1,
@@ -61,16 +97,153 @@ const RouteCard = (function() {
                 arriveTime: arriveTime,
                 waitTime: waitTime,
                 dwellTime: actualDwell,
+                delay: delay,
                 readyTime: readyTime,
+                missedWindow: missedWindow,
+                rest: restPlan,
+                lateMinutes: lateMinutes,
+                latePenalty: lateMinutes > 0
+                    ? Solver.getLateCost(config.latePenalty, data.finishWindow, arriveTime)
+                    : 0,
+                score: Solver.getCheckpointScore(to, checkpoints, scores),
                 isFinish: toCp?.isFinish || false
             });
 
             currentTime = readyTime;
         }
 
+        const notes = Constraints.legNotes(route, config.constraints);
+        legs.forEach((leg, i) => {
+            leg.rules = notes.get(i) || [];
+        });
+
+        addSlack(legs, data, config);
         return legs;
     }
 
+    /**
+     * Schedule the rest break once the team is ready to leave its checkpoint
+     * Starts straight away if the window has already closed (the plan has slipped)
+     */
+    function planRest(rest, time, walked) {
+        const start = Solver.getRestStart(rest, time, walked);
+        const begin = start < 1e9 ? start : time;
+
+        return {
+            start: begin,
+            end: begin + rest.duration,
+            wait: begin - time,
+            duration: rest.duration,
+            earliest: rest.mode === Solver.REST_MODES.WINDOW ? rest.earliest : null,
+            latest: rest.mode === Solver.REST_MODES.WINDOW ? rest.latest : null
+        };
+    }
+
+    /**
+     * Backward pass: the latest arrival at each stop that keeps the rest of the route feasible
+     * Sets latestArrival, slack (minutes to spare) and limitedBy/limitTime (the closing that sets it;
+     * under a strict window rule the latest arrival is earlier than limitTime)
+     * Only routes that reach the finish get slack: for a partial route the rest is unknown
+     */
+    function addSlack(legs, data, config) {
+        const { checkpoints, finishWindow } = data;
+        if (!finishWindow || legs.length === 0 || !legs[legs.length - 1].isFinish) return;
+
+        let latest = Solver.getFinishCutoff(finishWindow, config.latePenalty);
+        let limitedBy = legs[legs.length - 1].to;
+        let limitTime = latest;
+
+        for (let i = legs.length - 1; i >= 0; i--) {
+            const leg = legs[i];
+
+            if (!leg.isFinish) {
+                // Latest departure that still reaches the next stop by its latest arrival
+                const next = legs[i + 1];
+                const departBy = latestDwellEnd(leg.rest, latestDeparture(next, latest, data, config));
+
+                // Arrive within any slot that opens in time to dwell (and lose any delay) before departBy,
+                // no later than the window rule allows
+                const stay = leg.dwellTime + leg.delay;
+                const openSlots = checkpoints.get(leg.to)?.openSlots || [];
+                const closeOffset = Solver.getCloseOffset(config.windowRule, leg.dwellTime);
+                let latestHere = openSlots.length > 0 ? -Infinity : departBy - stay;
+                let closingSlot = null;
+
+                for (const slot of openSlots) {
+                    const close = slot.close - closeOffset;
+                    if (slot.open > close || slot.open + stay > departBy) continue;
+
+                    const candidate = Math.min(close, departBy - stay);
+                    if (candidate > latestHere) {
+                        latestHere = candidate;
+                        closingSlot = candidate === close ? slot : null;
+                    }
+                }
+
+                latest = latestHere;
+                if (closingSlot) {
+                    limitedBy = leg.to;
+                    limitTime = closingSlot.close;
+                }
+            }
+
+            leg.latestArrival = latest;
+            leg.slack = latest - leg.arriveTime;
+            leg.limitedBy = limitedBy;
+            leg.limitTime = limitTime;
+        }
+    }
+
+    /**
+     * Latest time the dwell can end when a break must fit before departBy
+     */
+    function latestDwellEnd(rest, departBy) {
+        if (!rest) return departBy;
+
+        // A break that cannot start before its window opens pushes everything to the opening
+        if (rest.earliest !== null && rest.earliest + rest.duration > departBy) return -Infinity;
+
+        const latestStart = departBy - rest.duration;
+        return rest.latest !== null ? Math.min(latestStart, rest.latest) : latestStart;
+    }
+
+    /**
+     * Latest departure for a leg that arrives by arriveBy
+     * Under a speed table the arrival can jump as the speed changes, which fixed-point iteration does
+     * not settle on, so bracket the departure and bisect, keeping the side that arrives in time
+     */
+    function latestDeparture(leg, arriveBy, data, config) {
+        const distData = data.distances.get(`${leg.from}|${leg.to}`);
+        if (!distData || !(config.speed > 0)) return arriveBy;
+
+        const arrival = (depart) => depart + TravelModel.legMinutes(distData.distance, distData.heightGain, config, depart);
+
+        // Exact when the leg takes as long at the latest departure as planned (always, without a profile)
+        const planned = arriveBy - leg.travelMinutes;
+        if (Math.abs(arrival(planned) - arriveBy) < 1e-9) return planned;
+
+        // Bisect up from a departure that arrives in time to arriveBy, which does not. Start from the planned
+        // departure if it arrives in time and is later (so a plan on time keeps its slack), else from the
+        // planned-length one, else step back until one arrives in time (leg times are bounded, so this ends)
+        const inTime = (depart) => arrival(depart) <= arriveBy;
+        let early = inTime(planned) ? planned : -Infinity;
+        let late = arriveBy;
+        if (leg.departTime > early && inTime(leg.departTime)) early = leg.departTime;
+        for (let step = Math.max(leg.travelMinutes, 1); early === -Infinity; step *= 2) {
+            if (inTime(arriveBy - step)) early = arriveBy - step;
+        }
+
+        for (let i = 0; i < DEPART_BISECTIONS; i++) {
+            const mid = (early + late) / 2;
+            if (inTime(mid)) {
+                early = mid;
+            } else {
+                late = mid;
+            }
+        }
+        return early;
+    }
+
     /**
      * Calculate summary statistics from route card
      */
@@ -78,49 +251,218 @@ const RouteCard = (function() {
         let totalDistance = 0;
         let totalHeight = 0;
         let totalTravel = 0;
+        let totalScore = 0;
 
         for (const leg of legs) {
             totalDistance += leg.distance;
             totalHeight += leg.heightGain;
             totalTravel += leg.travelMinutes;
+            totalScore += leg.score || 0;
         }
 
+        const lastLeg = legs.length > 0 ? legs[legs.length - 1] : null;
         const firstDeparture = legs.length > 0 ? legs[0].departTime : 0;
-        const lastArrival = legs.length > 0 ? legs[legs.length - 1].arriveTime : 0;
+        const lastArrival = lastLeg ? lastLeg.arriveTime : 0;
+        const finishWait = lastLeg?.isFinish ? lastLeg.waitTime : 0;
+        const latePenalty = lastLeg?.isFinish ? lastLeg.latePenalty : 0;
 
         return {
             totalDistance: Math.round(totalDistance * 10) / 10,
             totalHeight: Math.round(totalHeight),
             totalTravelMinutes: Math.round(totalTravel),
+            totalScore: totalScore,
+            lateMinutes: lastLeg?.isFinish ? lastLeg.lateMinutes : 0,
+            latePenalty: latePenalty,
+            netScore: totalScore - latePenalty,
             startTime: firstDeparture,
-            finishTime: lastArrival,
+            arriveTime: lastArrival,
+            finishWait: finishWait,
+            finishTime: lastArrival + finishWait,
             checkpointCount: legs.length // Number of destinations (including finish)
         };
     }
 
     /**
-     * Render route card as HTML table rows
+     * Render route card as HTML table rows, with a what-if delay input for each stop
      */
     function renderTableRows(legs) {
         return legs.map(leg => `
-            <tr>
+            <tr class="${rowClass(leg)}">
                 <td>${leg.leg}</td>
-                <td class="from-col">${leg.from}</td>
-                <td class="to-col">${leg.to}</td>
+                <td class="from-col">${escapeHtml(leg.from)}</td>
+                <td class="to-col">${escapeHtml(leg.to)}${renderRules(leg)}</td>
                 <td>${leg.distance.toFixed(1)}</td>
                 <td>${leg.heightGain}</td>
                 <td>${Math.round(leg.travelMinutes)}</td>
-                <td>${CSVParser.formatTime(leg.arriveTime)}</td>
+                <td>${formatWait(leg.waitTime)}</td>
+                <td class="arrive-col">${CSVParser.formatTime(leg.arriveTime)}</td>
                 <td>${leg.isFinish ? '-' : CSVParser.formatTime(leg.readyTime)}</td>
-            </tr>
+                <td class="slack-col" title="${escapeHtml(describeSlack(leg))}">
+                    ${formatSlack(leg)}<span class="slack-limit">${escapeHtml(leg.limitedBy)}</span>
+                </td>
+                <td>${leg.isFinish ? '' : `<input type="number" class="delay-input" min="0" max="240" step="5"
+                    value="${leg.delay || ''}" placeholder="0" data-stop="${escapeHtml(leg.to)}" aria-label="Extra minutes at ${escapeHtml(leg.to)}">`}</td>
+            </tr>${leg.rest ? renderRestRow(leg, 2) : ''}
         `).join('');
     }
 
+    /**
+     * Row classes: a missed window, or little time to spare
+     */
+    function rowClass(leg) {
+        if (leg.missedWindow) return 'missed-window';
+        return isLowSlack(leg) ? 'low-slack' : '';
+    }
+
+    /**
+     * Note a what-if delay under a leg's destination in the export
+     */
+    function renderDelay(leg) {
+        return leg.delay > 0 ? `<span class="leg-rule">+${Math.round(leg.delay)} min delay</span>` : '';
+    }
+
+    /**
+     * Render the route rules that shaped a leg, under its destination
+     */
+    function renderRules(leg) {
+        return leg.rules && leg.rules.length > 0
+            ? `<span class="leg-rule">${escapeHtml(leg.rules.join(', '))}</span>`
+            : '';
+    }
+
+    /**
+     * Render the break taken at a leg's checkpoint as its own row, from break start to departure
+     * @param {number} trailingCells - Empty cells after the Depart column
+     */
+    function renderRestRow(leg, trailingCells) {
+        return `
+            <tr class="rest-row">
+                <td>☕</td>
+                <td class="rest-label" colspan="5">${escapeHtml(describeRest(leg))}</td>
+                <td>${formatWait(leg.rest.wait)}</td>
+                <td>${CSVParser.formatTime(leg.rest.start)}</td>
+                <td>${CSVParser.formatTime(leg.rest.end)}</td>
+                ${'<td></td>'.repeat(trailingCells)}
+            </tr>`;
+    }
+
+    /**
+     * Describe a planned break, e.g. "Break at CP5 (30 min)"
+     */
+    function describeRest(leg) {
+        return `Break at ${leg.to} (${Math.round(leg.rest.duration)} min)`;
+    }
+
+    /**
+     * Check whether a stop has little time to spare
+     */
+    function isLowSlack(leg) {
+        return typeof leg.slack === 'number' && leg.slack < LOW_SLACK_MINUTES;
+    }
+
+    /**
+     * Format slack in whole minutes ('!' when the stop is already out of reach)
+     */
+    function formatSlack(leg) {
+        if (typeof leg.slack !== 'number') return '-';
+        return isFinite(leg.slack) ? `${Math.floor(leg.slack)}` : '!';
+    }
+
+    /**
+     * Format points to one decimal place, as a late penalty may be fractional
+     */
+    function formatPoints(points) {
+        return `${Math.round(points * 10) / 10}`;
+    }
+
+    /**
+     * Explain a stop's slack, e.g. "Arrive by 14:22 (CP5 closes 14:30)"
+     */
+    function describeSlack(leg) {
+        if (typeof leg.slack !== 'number') return '';
+        if (!isFinite(leg.latestArrival)) return 'The rest of the route cannot be completed in time';
+
+        return `Arrive by ${CSVParser.formatTime(leg.latestArrival)} ` +
+            `(${leg.limitedBy} closes ${CSVParser.formatTime(leg.limitTime)})`;
+    }
+
+    /**
+     * Describe dwell times for the export footer, listing checkpoints that differ from the default
+     */
+    function describeDwell(legs, config) {
+        const custom = legs
+            .filter(leg => !leg.isFinish && leg.dwellTime !== config.dwellTime)
+            .map(leg => `${leg.to} ${leg.dwellTime} min`);
+
+        return custom.length > 0
+            ? `${config.dwellTime} min (${custom.join(', ')})`
+            : `${config.dwellTime} min`;
+    }
+
+    /**
+     * Describe the checkpoint window rule for the export footer
+     */
+    function describeWindowRule(rule) {
+        switch (rule?.type) {
+            case Solver.WINDOW_RULES.DEPART:
+                return 'dwell finished before close';
+            case Solver.WINDOW_RULES.MARGIN:
+                return `arrive ${rule.minutes} min before close`;
+            default:
+                return 'arrive before close';
+        }
+    }
+
+    /**
+     * Describe the late finish penalty for the export footer
+     */
+    function describeLatePenalty(latePenalty) {
+        const late = Solver.getLatePenalty(latePenalty);
+        return `${late.perMinute} pts/min, up to ${late.maxMinutes} min`;
+    }
+
+    /**
+     * Describe the rest break option, for the export footer and the missed break note
+     */
+    function describeRestBreak(restBreak) {
+        const rest = Solver.getRestBreak(restBreak);
+        if (!rest) return 'none';
+
+        if (rest.mode === Solver.REST_MODES.DISTANCE) {
+            return `${rest.duration} min after ${rest.afterKm} km`;
+        }
+
+        // Unset ends of the window are normalised to 0 and INF
+        const earliest = typeof restBreak.earliest === 'number' ? CSVParser.formatTime(rest.earliest) : 'any time';
+        const latest = rest.latest < 1e9 ? CSVParser.formatTime(rest.latest) : 'any time';
+        return `${rest.duration} min starting ${earliest}-${latest}`;
+    }
+
+    /**
+     * Escape text for HTML markup and attribute values, as checkpoint names come from imported CSVs
+     */
+    function escapeHtml(str) {
+        if (str === null || str === undefined) return '';
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Format a wait in whole minutes, blank when there is none
+     */
+    function formatWait(minutes) {
+        return minutes > 0 ? `${Math.round(minutes)}` : '-';
+    }
+
     /**
      * Export route card as HTML document
      */
     function exportHTML(route, legs, summary, config) {
-        const routePath = route.join(' → ');
+        const routePath = escapeHtml(route.join(' → '));
 
         return `<!DOCTYPE html>
 <html lang="en">
@@ -190,6 +532,24 @@ const RouteCard = (function() {
             font-weight: 600;
             color: #8b4513;
         }
+        .low-slack td {
+            background: #fbe9d5;
+            color: #8b0000;
+        }
+        .missed-window td {
+            background: #f4cccc;
+            color: #8b0000;
+        }
+        .rest-row td {
+            background: #e8e3d8;
+            font-style: italic;
+        }
+        .leg-rule {
+            display: block;
+            font-size: 0.7rem;
+            font-weight: 400;
+            color: #666;
+        }
         @media print {
             body { background: white; }
         }
@@ -203,6 +563,10 @@ const RouteCard = (function() {
             <div class="summary-label">Checkpoints</div>
             <div class="summary-value">${route.length - 2}</div>
         </div>
+        <div class="summary-item">
+            <div class="summary-label">Score</div>
+            <div class="summary-value">${summary.totalScore} pts</div>
+        </div>
         <div class="summary-item">
             <div class="summary-label">Speed</div>
             <div class="summary-value">${config.speed} km/h</div>
@@ -219,6 +583,18 @@ const RouteCard = (function() {
             <div class="summary-label">Finish</div>
             <div class="summary-value">${CSVParser.formatTime(summary.finishTime)}</div>
         </div>
+        ${summary.finishWait > 0 ? `<div class="summary-item">
+            <div class="summary-label">Finish Wait</div>
+            <div class="summary-value">${Math.round(summary.finishWait)} min</div>
+        </div>` : ''}
+        ${summary.lateMinutes > 0 ? `<div class="summary-item">
+            <div class="summary-label">Late</div>
+            <div class="summary-value">${Math.round(summary.lateMinutes)} min (−${formatPoints(summary.latePenalty)} pts)</div>
+        </div>
+        <div class="summary-item">
+            <div class="summary-label">Net Score</div>
+            <div class="summary-value">${formatPoints(summary.netScore)} pts</div>
+        </div>` : ''}
     </div>
 
     <div class="route-path">${routePath}</div>
@@ -232,28 +608,38 @@ const RouteCard = (function() {
                 <th>Dist (km)</th>
                 <th>Height (m)</th>
                 <th>Travel (min)</th>
+                <th>Wait (min)</th>
                 <th>Arrive</th>
                 <th>Depart</th>
+                <th>Slack (min)</th>
+                <th>Latest Arrival</th>
             </tr>
         </thead>
         <tbody>
             ${legs.map(leg => `
-            <tr>
+            <tr class="${rowClass(leg)}">
                 <td>${leg.leg}</td>
-                <td class="from-col">${leg.from}</td>
-                <td class="to-col">${leg.to}</td>
+                <td class="from-col">${escapeHtml(leg.from)}</td>
+                <td class="to-col">${escapeHtml(leg.to)}${renderRules(leg)}${renderDelay(leg)}</td>
                 <td>${leg.distance.toFixed(1)}</td>
                 <td>${leg.heightGain}</td>
                 <td>${Math.round(leg.travelMinutes)}</td>
+                <td>${formatWait(leg.waitTime)}</td>
                 <td>${CSVParser.formatTime(leg.arriveTime)}</td>
                 <td>${leg.isFinish ? '-' : CSVParser.formatTime(leg.readyTime)}</td>
-            </tr>
+                <td>${formatSlack(leg)}</td>
+                <td>${isFinite(leg.latestArrival) ? `${CSVParser.formatTime(leg.latestArrival)} (${escapeHtml(leg.limitedBy)})` : '-'}</td>
+            </tr>${leg.rest ? renderRestRow(leg, 2) : ''}
             `).join('')}
         </tbody>
     </table>
 
     <p style="margin-top: 20px; color: #666; font-size: 0.875rem;">
-        Generated by DoveTrek Route Planner • Dwell time: ${config.dwellTime} min
+        Generated by DoveTrek Route Planner • Dwell time: ${escapeHtml(describeDwell(legs, config))} •
+        Window rule: ${describeWindowRule(config.windowRule)} •${legs.some(leg => leg.rest) ? `
+        Break: ${describeRestBreak(config.restBreak)} •` : ''}${Solver.getLatePenalty(config.latePenalty) ? `
+        Late finish: ${describeLatePenalty(config.latePenalty)} •` : ''}
+        Travel model: ${TravelModel.describe(config)}
     </p>
 </body>
 </html>`;
@@ -281,6 +667,8 @@ const RouteCard = (function() {
         build,
         summarize,
         renderTableRows,
+        formatPoints,
+        describeRestBreak,
         exportHTML,
         downloadHTML
     };
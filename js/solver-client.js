@@ -0,0 +1,134 @@
+/**
+ * DoveTrek Solver Client Module
+ * Runs solver jobs in a Web Worker with progress reporting and cancellation
+ */
+
+const SolverClient = (function() {
+
+    const WORKER_URL = 'js/solver-worker.js';
+
+    let worker = null;
+    let pending = null;
+    let nextId = 1;
+
+    /**
+     * Create the worker on first use
+     */
+    function getWorker() {
+        if (worker) return worker;
+
+        worker = new Worker(WORKER_URL);
+        worker.addEventListener('message', handleMessage);
+        worker.addEventListener('error', (event) => {
+            console.error('[SolverClient] Worker error:', event.message);
+            settle(null, new Error(event.message || 'Solver worker failed'));
+        });
+
+        return worker;
+    }
+
+    /**
+     * Route worker messages to the pending job
+     */
+    function handleMessage(event) {
+        const { id, type, progress, result, message } = event.data;
+        if (!pending || pending.id !== id) return;
+
+        switch (type) {
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(progress);
+                break;
+            case 'result':
+                settle(result, null);
+                break;
+            case 'error':
+                settle(null, new Error(message));
+                break;
+        }
+    }
+
+    /**
+     * Resolve or reject the pending job
+     */
+    function settle(result, error) {
+        if (!pending) return;
+
+        const { resolve, reject } = pending;
+        pending = null;
+
+        if (error) {
+            reject(error);
+        } else {
+            resolve(result);
+        }
+    }
+
+    /**
+     * Run a solver method
+     * Only one job runs at a time; starting a new one cancels the previous
+     * @param {string} method - Solver method name ('solve', 'findMinSpeed')
+     * @param {Object} data - Loaded year data
+     * @param {Object} config - Solver config (must be structured-cloneable)
+     * @param {Function} onProgress - Called with progress objects from the solver
+     * @returns {Promise<Object>} Solver result
+     */
+    function run(method, data, config, onProgress = null) {
+        if (pending) cancel();
+
+        // Fall back to the main thread where workers are unavailable
+        if (typeof Worker === 'undefined') {
+            return runInline(method, data, config, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending = { id, resolve, reject, onProgress };
+            getWorker().postMessage({ id, method, data, config });
+        });
+    }
+
+    /**
+     * Run a solver method on the main thread (no cancellation)
+     */
+    function runInline(method, data, config, onProgress) {
+        return new Promise((resolve, reject) => {
+            // Use setTimeout to allow UI to update
+            setTimeout(() => {
+                try {
+                    resolve(Solver[method](data, { ...config, onProgress }));
+                } catch (err) {
+                    reject(err);
+                }
+            }, 50);
+        });
+    }
+
+    /**
+     * Cancel the running job
+     * Terminates the worker so the computation actually stops
+     */
+    function cancel() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+
+        const error = new Error('Calculation cancelled');
+        error.cancelled = true;
+        settle(null, error);
+    }
+
+    /**
+     * Check whether a job is running
+     */
+    function isRunning() {
+        return pending !== null;
+    }
+
+    // Public API
+    return {
+        run,
+        cancel,
+        isRunning
+    };
+})();
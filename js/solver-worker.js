@@ -0,0 +1,30 @@
+/**
+ * DoveTrek Solver Worker
+ * Runs Solver methods off the main thread and streams progress back
+ */
+
+importScripts('travel-model.js', 'constraints.js', 'solver.js');
+
+// Solver methods the main thread may call
+const ALLOWED_METHODS = ['solve', 'findMinSpeed', 'sweepSpeeds'];
+
+self.addEventListener('message', (event) => {
+    const { id, method, data, config } = event.data || {};
+
+    if (!ALLOWED_METHODS.includes(method)) {
+        self.postMessage({ id, type: 'error', message: `Unknown solver method: ${method}` });
+        return;
+    }
+
+    const onProgress = (progress) => {
+        self.postMessage({ id, type: 'progress', progress });
+    };
+
+    try {
+        const result = Solver[method](data, { ...config, onProgress });
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        console.error('[SolverWorker] Error:', err);
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+});
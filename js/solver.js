@@ -1,6 +1,7 @@
 /**
  * DoveTrek Solver Module
- * Bitmask Dynamic Programming solver for optimal route finding
+ * Bitmask Dynamic Programming solver for optimal route finding,
+ * with a beam-search heuristic for checkpoint sets too large for the DP
  * Ported from C++ implementation
  */
 
@@ -8,15 +9,122 @@ const Solver = (function() {
 
     const INF = 1e9;
 
+    // Report progress every 4096 masks (must be a power of two)
+    const PROGRESS_INTERVAL = 1 << 12;
+
+    // Score for checkpoints without a score in the data or config
+    const DEFAULT_SCORE = 1;
+
+    const ENGINES = {
+        AUTO: 'auto',
+        EXACT: 'exact',
+        HEURISTIC: 'heuristic'
+    };
+
+    // When a checkpoint visit counts: arriving before close, finishing the dwell
+    // before close, or arriving a set number of minutes before close
+    const WINDOW_RULES = {
+        ARRIVE: 'arrive',
+        DEPART: 'depart',
+        MARGIN: 'margin'
+    };
+
+    // A planned rest break is taken on leaving a checkpoint, either within a clock window
+    // or once a set distance has been walked
+    const REST_MODES = {
+        NONE: 'none',
+        WINDOW: 'window',
+        DISTANCE: 'distance'
+    };
+
+    // How routes with the same objective value and checkpoint count are ranked:
+    // earliest arrival at the finish, least distance, least ascent, or the most
+    // margin at the tightest stop (its closing time, or the finish closing).
+    // Best effort: the routes kept by the solver are polished by local search (see polishEntries)
+    const SECONDARY_OBJECTIVES = {
+        FINISH: 'finish',
+        DISTANCE: 'distance',
+        CLIMB: 'climb',
+        SLACK: 'slack'
+    };
+
+    // Speeds tried by findMinSpeed and sweepSpeeds (km/h)
+    const DEFAULT_SPEED_SEARCH = {
+        minSpeed: 3.0,
+        maxSpeed: 10.0,
+        resolution: 0.1
+    };
+
+    // Auto mode switches to the heuristic above this many checkpoints
+    const EXACT_LIMIT = 20;
+
+    // The DP tables need 2^n * n entries of up to 16 bytes: about 0.7 GB at 21 checkpoints, but 1.5 GB
+    // at 22 and 3.2 GB at 24, which browsers will not allocate (a rest break doubles them, see chooseEngine)
+    const MAX_EXACT_CHECKPOINTS = 21;
+
+    // Heuristic tuning
+    const DEFAULT_BEAM_WIDTH = 300;
+    const LOCAL_SEARCH_ROUTES = 5;
+    const MAX_LOCAL_SEARCH_PASSES = 200;
+
+    // Routes polished on a secondary objective other than finish time
+    const POLISH_ROUTES = 10;
+
+    // Start times tried across a staggered START window (minutes apart)
+    const START_SEARCH_STEP = 5;
+
+    // Why a checkpoint was left off a route (see explainOmitted)
+    const OMISSION_REASONS = {
+        NO_DATA: 'noData',           // no distance data for any leg into it or out of it, or none joining it to the route
+        CLOSED: 'closed',            // every slot closes before it can be reached
+        UNREACHABLE: 'unreachable',  // cannot be visited and still finish in time, even on its own
+        RULES: 'rules',              // route rules leave no way to fit it in
+        DETOUR: 'detour',            // the cheapest detour takes longer than the route has to spare
+        WINDOWS: 'windows',          // the detour fits the spare time, but misses another window on the way
+        PENALTY: 'penalty',          // it fits, but the later finish costs more than it gains
+        MISSED: 'missed'             // it fits and would improve the route
+    };
+
     /**
      * Solve for optimal route
+     * Uses the exact bitmask DP up to EXACT_LIMIT checkpoints and beam search above it
      * @param {Object} data - Loaded year data from GitHubLoader
-     * @param {Object} config - {speed: km/h, dwellTime: minutes, excludedCps: Set}
-     * @returns {Object} {count, route, finishTime, totalDistance, totalHeight}
+     * @param {Object} config - {speed: km/h, dwellTime: minutes, dwellTimes: Map of name -> dwell overrides,
+     *                            excludedCps: Set, onProgress: Function,
+     *                            travelModel, naismithMinutes, fitness, speedProfile (see TravelModel.legMinutes),
+     *                            objective: 'count'|'score', scores: Map of name -> score overrides,
+     *                            requiredCps: Set of checkpoints every route must include,
+     *                            alternatives: number of distinct routes to return (default 1),
+     *                            startFrom: checkpoint to start from instead of START (re-planning),
+     *                            startTime: start time override, visitedCps: Set already visited,
+     *                            startSearch: search data.startWindow for the best start time (see searchStartTime),
+     *                            engine: 'auto'|'exact'|'heuristic', beamWidth: heuristic beam width,
+     *                            windowRule: {type: 'arrive'|'depart'|'margin', minutes} (see getCloseOffset),
+     *                            restBreak: {mode, duration, earliest, latest, afterKm} (see getRestStart),
+     *                            latePenalty: {perMinute, maxMinutes} soft finish deadline (see getLatePenalty),
+     *                            secondaryObjective: 'finish'|'distance'|'climb'|'slack' (see SECONDARY_OBJECTIVES),
+     *                            constraints: [{type, from, to}] route rules (see Constraints.TYPES)}
+     * @returns {Object} {count, totalScore, route, finishTime, finishWait, totalDistance, totalHeight, restAfter,
+     *                    secondaryCost, lateMinutes, latePenalty, netScore, omitted, restMissed,
+     *                    alternatives, engine, heuristic, upperBound, optimalityGap, startTime}
+     *                   where finishTime is when the route can finish (after waiting finishWait
+     *                   minutes for the finish to open), startTime is the chosen start when startSearch is set, restAfter names the checkpoint the break
+     *                   is taken at (null without a break), restMissed is set when no route leaves room for the break so
+     *                   the route is planned without it, lateMinutes is how long after the finish closes the
+     *                   route arrives, latePenalty the points that costs and netScore totalScore less them,
+     *                   omitted explains each checkpoint left off the route (see explainOmitted), secondaryCost ranks routes on the secondary
+     *                   objective (lower is better) and alternatives lists up to that many routes, best first
+     *                   or {infeasible: true, message} if the required checkpoints cannot all be visited
      */
     function solve(data, config) {
-        const { checkpoints, startTime, finishWindow, distances } = data;
-        const { speed, dwellTime, excludedCps } = config;
+        if (config.startSearch && !config.startFrom && data.startWindow &&
+            data.startWindow.close > data.startWindow.open) {
+            return searchStartTime(data, config);
+        }
+
+        const { checkpoints, distances } = data;
+        const { excludedCps, scores, dwellTimes, dwellTime, requiredCps, startFrom, visitedCps } = config;
+        const startTime = config.startTime ?? data.startTime;
 
         // Build list of visitable checkpoints (excluding start/finish and excluded ones)
         const visitableCps = [];
@@ -36,16 +144,51 @@ const Solver = (function() {
             if (excludedCps && excludedCps.has(name)) {
                 continue;
             }
+            if (name === startFrom || (visitedCps && visitedCps.has(name))) {
+                continue;
+            }
 
             cpIndices.set(name, visitableCps.length);
-            visitableCps.push({ name, ...cp });
+            visitableCps.push({
+                name,
+                ...cp,
+                score: getCheckpointScore(name, checkpoints, scores),
+                dwell: getCheckpointDwell(name, checkpoints, dwellTimes, dwellTime)
+            });
+        }
+
+        // Re-planning starts from the last visited checkpoint
+        if (startFrom && checkpoints.has(startFrom)) {
+            startCp = { name: startFrom, ...checkpoints.get(startFrom) };
         }
 
         const n = visitableCps.length;
 
+        // Indices of checkpoints every route must include
+        const requiredIndices = [];
+        if (requiredCps) {
+            const unavailable = [];
+            for (const name of requiredCps) {
+                // Already visited on this run
+                if (name === startFrom || (visitedCps && visitedCps.has(name))) continue;
+
+                if (cpIndices.has(name)) {
+                    requiredIndices.push(cpIndices.get(name));
+                } else {
+                    unavailable.push(name);
+                }
+            }
+
+            if (unavailable.length > 0) {
+                return infeasibleResult(data, startTime, startCp, finishCp,
+                    `Required checkpoints are not available: ${unavailable.join(', ')}`);
+            }
+        }
+
         if (n === 0) {
             return {
                 count: 0,
+                totalScore: 0,
                 route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
                 finishTime: startTime,
                 totalDistance: getDistanceValue(distances, startCp?.name, finishCp?.name),
@@ -53,140 +196,1259 @@ const Solver = (function() {
             };
         }
 
-        // DP state: dp[mask][last] = earliest arrival time at 'last' having visited 'mask'
+        const rest = getRestBreak(config.restBreak);
+        const late = getLatePenalty(config.latePenalty);
+        const finishClose = getFinishCutoff(data.finishWindow, late);
+        const secondary = config.secondaryObjective || SECONDARY_OBJECTIVES.FINISH;
+        const ctx = {
+            data, config, visitableCps, startCp, finishCp, startTime, requiredIndices, rest, late, finishClose, secondary
+        };
+        ctx.tables = buildTables(ctx);
+        const engine = chooseEngine(n, config.engine, rest !== null);
+
+        return engine === ENGINES.HEURISTIC ? solveHeuristic(ctx) : solveExact(ctx);
+    }
+
+    /**
+     * Solve from each start time across the START window and keep the best result:
+     * most objective value, then most checkpoints, then the secondary objective,
+     * then the earliest start
+     */
+    function searchStartTime(data, config) {
+        const { onProgress } = config;
+        const { open, close } = data.startWindow;
+        const steps = Math.ceil((close - open) / START_SEARCH_STEP);
+        let best = null;
+
+        for (let step = 0; step <= steps; step++) {
+            const startTime = Math.min(close, open + step * START_SEARCH_STEP);
+            const progress = onProgress &&
+                ((p) => onProgress({ ...p, startStep: step + 1, startSteps: steps + 1, startTime }));
+
+            const result = solve(data, {
+                ...config,
+                startSearch: false,
+                startTime,
+                // Decay is measured from the actual start
+                speedProfile: config.speedProfile && { ...config.speedProfile, from: startTime },
+                onProgress: progress
+            });
+
+            if (!best || isBetterStart(result, best, config.objective)) {
+                best = { ...result, startTime };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Check whether the result from one start time beats another
+     * A route that fits the break beats one planned without it
+     */
+    function isBetterStart(a, b, objective) {
+        if (!!a.infeasible !== !!b.infeasible) return !a.infeasible;
+        if (!!a.restMissed !== !!b.restMissed) return !a.restMissed;
+
+        // Net of any late finish penalty, as the solver ranks routes
+        const valueA = (objective === 'score' ? a.totalScore : a.count) - (a.latePenalty || 0);
+        const valueB = (objective === 'score' ? b.totalScore : b.count) - (b.latePenalty || 0);
+        if (valueA !== valueB) return valueA > valueB;
+        if (a.count !== b.count) return a.count > b.count;
+        return (a.secondaryCost ?? 0) < (b.secondaryCost ?? 0);
+    }
+
+    /**
+     * Pick the solver engine for a checkpoint count
+     * A rest break doubles the DP tables, which costs one checkpoint of headroom
+     */
+    function chooseEngine(n, requested = ENGINES.AUTO, hasRest = false) {
+        const extra = hasRest ? 1 : 0;
+        if (requested === ENGINES.HEURISTIC) return ENGINES.HEURISTIC;
+
+        if (requested === ENGINES.EXACT) {
+            if (n + extra > MAX_EXACT_CHECKPOINTS) {
+                throw new Error(`Too many checkpoints for the exact solver (${n}, max ${MAX_EXACT_CHECKPOINTS - extra}). ` +
+                    'Exclude some or use the heuristic solver.');
+            }
+            return ENGINES.EXACT;
+        }
+
+        return n + extra > EXACT_LIMIT ? ENGINES.HEURISTIC : ENGINES.EXACT;
+    }
+
+    /**
+     * Exact bitmask DP over every subset of checkpoints
+     */
+    function solveExact(ctx) {
+        const { data, config, visitableCps, startTime, requiredIndices, tables, rest, secondary } = ctx;
+        const { finishWindow } = data;
+        const { onProgress, objective = 'count', alternatives } = config;
+        const n = visitableCps.length;
+
+        // Bitmask of checkpoints every final state must cover
+        let requiredMask = 0;
+        for (const i of requiredIndices) {
+            requiredMask |= 1 << i;
+        }
+
+        const { travel, distance, minToFinish, size } = tables;
+
+        // Latest arrival at the finish, after its closing under a late penalty
+        const close = ctx.finishClose;
+
+        // Checkpoints that must not have been visited before each checkpoint
+        const afterMask = new Int32Array(n);
+        tables.mustFollow.forEach((later, i) => {
+            for (const j of later) afterMask[i] |= 1 << j;
+        });
+
+        // DP state: dp[mask][last] = earliest departure time from 'last' having visited 'mask'
+        // With a rest break there is a second layer of states where the break has been taken
         const numMasks = 1 << n;
-        const dp = new Float64Array(numMasks * n).fill(INF);
-        const parent = new Int32Array(numMasks * n).fill(-1);
+        const fullMask = numMasks - 1;
+        const layerSize = numMasks * n;
+        const layers = rest ? 2 : 1;
+        const dp = new Float64Array(layers * layerSize).fill(INF);
 
-        // Initialize: travel from start to each checkpoint
-        for (let i = 0; i < n; i++) {
-            const cp = visitableCps[i];
-            const travelTime = getTravelTime(distances, startCp?.name, cp.name, speed);
+        // Only read for states dp has reached, which always set their parent
+        const parent = new Int32Array(layers * layerSize);
+        const reachable = new Uint8Array(numMasks);
+        const maskScores = objective === 'score' ? buildMaskScores(visitableCps, numMasks) : null;
 
-            if (travelTime === INF) continue;
+        // Kilometres walked by each state still owed its break (along its earliest path)
+        const walked = rest?.mode === REST_MODES.DISTANCE ? new Float32Array(layerSize) : null;
+        const owed = rest ? rest.duration : 0;
 
-            const arriveTime = startTime + travelTime;
-            const waitTime = getWaitTime(arriveTime, cp.openSlots);
+        // Secondary objective cost of each state's path (lower is better), which
+        // decides between parents that reach a state at the same time
+        const tieCosts = secondary !== SECONDARY_OBJECTIVES.FINISH ? new Float32Array(layers * layerSize) : null;
 
-            if (waitTime === INF) continue;
+        // Initialize: travel from start to each checkpoint
+        for (let i = 0; i < n; i++) {
+            const departTime = departFrom(tables, tables.start, i, startTime);
+
+            // Skip checkpoints that leave no way to reach the finish in time
+            if (departTime + minToFinish[i] + owed > close) continue;
 
-            const departTime = arriveTime + waitTime + dwellTime;
             const mask = 1 << i;
             const idx = mask * n + i;
 
             dp[idx] = departTime;
             parent[idx] = -2; // Indicates came from start
+            reachable[mask] = 1;
+            if (walked) walked[idx] = distance[tables.start * size + i];
+            if (tieCosts) tieCosts[idx] = stepCost(tables, secondary, tables.start, i, startTime, startCost(secondary));
         }
 
         // DP transitions
         for (let mask = 1; mask < numMasks; mask++) {
-            for (let last = 0; last < n; last++) {
-                if (!(mask & (1 << last))) continue;
+            if (onProgress && (mask & (PROGRESS_INTERVAL - 1)) === 0) {
+                onProgress({ stage: 'solve', masksDone: mask, masksTotal: numMasks });
+            }
 
-                const idx = mask * n + last;
-                const currentTime = dp[idx];
+            // No state with this visited set survived pruning
+            if (!reachable[mask]) continue;
 
-                if (currentTime >= INF) continue;
+            // Take the break at the last checkpoint before moving on
+            if (rest) {
+                for (let visited = mask; visited !== 0; visited &= visited - 1) {
+                    const last = 31 - Math.clz32(visited & -visited);
+                    const idx = mask * n + last;
+                    if (dp[idx] >= INF) continue;
+
+                    const restEnd = getRestStart(rest, dp[idx], walked ? walked[idx] : 0) + rest.duration;
+                    if (restEnd + minToFinish[last] > close) continue;
+
+                    if (restEnd < dp[layerSize + idx]) {
+                        dp[layerSize + idx] = restEnd;
+                        parent[layerSize + idx] = idx;
+                        if (tieCosts) tieCosts[layerSize + idx] = tieCosts[idx];
+                    }
+                }
+            }
+
+            for (let layer = 0; layer < layers; layer++) {
+                const offset = layer * layerSize;
+                const pending = layer === 0 ? owed : 0;
+
+                // Walk the set bits of mask rather than testing every checkpoint
+                for (let visited = mask; visited !== 0; visited &= visited - 1) {
+                    const last = 31 - Math.clz32(visited & -visited);
+                    const idx = offset + mask * n + last;
+                    const currentTime = dp[idx];
 
-                // Try extending to each unvisited checkpoint
-                for (let next = 0; next < n; next++) {
-                    if (mask & (1 << next)) continue;
+                    if (currentTime >= INF) continue;
 
-                    const fromCp = visitableCps[last];
-                    const toCp = visitableCps[next];
-                    const travelTime = getTravelTime(distances, fromCp.name, toCp.name, speed);
+                    const row = last * size;
 
-                    if (travelTime === INF) continue;
+                    // Try extending to each unvisited checkpoint
+                    for (let unvisited = fullMask & ~mask; unvisited !== 0; unvisited &= unvisited - 1) {
+                        const next = 31 - Math.clz32(unvisited & -unvisited);
+                        if (travel[row + next] >= INF || (mask & afterMask[next])) continue;
 
-                    const arriveTime = currentTime + travelTime;
-                    const waitTime = getWaitTime(arriveTime, toCp.openSlots);
+                        const departTime = departFrom(tables, last, next, currentTime);
 
-                    if (waitTime === INF) continue;
+                        if (departTime + minToFinish[next] + pending > close) continue;
 
-                    const departTime = arriveTime + waitTime + dwellTime;
-                    const newMask = mask | (1 << next);
-                    const newIdx = newMask * n + next;
+                        const newMask = mask | (1 << next);
+                        const newIdx = offset + newMask * n + next;
+
+                        if (departTime > dp[newIdx]) continue;
+
+                        // Equal departures keep the parent with the better secondary cost
+                        const cost = tieCosts ? stepCost(tables, secondary, last, next, currentTime, tieCosts[idx]) : 0;
+                        if (departTime === dp[newIdx] && (!tieCosts || cost >= tieCosts[newIdx])) continue;
 
-                    if (departTime < dp[newIdx]) {
                         dp[newIdx] = departTime;
                         parent[newIdx] = idx;
+                        reachable[newMask] = 1;
+                        if (walked && layer === 0) walked[newIdx] = walked[idx] + distance[row + next];
+                        if (tieCosts) tieCosts[newIdx] = cost;
                     }
                 }
             }
         }
 
-        // Find best final state that can reach finish in time
-        let bestMask = 0;
-        let bestLast = -1;
-        let bestFinishTime = INF;
-        let bestCount = 0;
+        if (onProgress) {
+            onProgress({ stage: 'solve', masksDone: numMasks, masksTotal: numMasks });
+        }
 
-        for (let mask = 0; mask < numMasks; mask++) {
-            const count = popCount(mask);
+        // Find the best final states that can reach finish in time
+        // Each distinct (mask, last) state gives a distinct route; a planned break must have been taken
+        const limit = Math.max(1, alternatives || 1);
+        const kept = polishCount(ctx, limit);
+        const candidates = [];
+        const finalOffset = (layers - 1) * layerSize;
 
-            for (let last = 0; last < n; last++) {
-                if (!(mask & (1 << last))) continue;
+        for (let mask = 1; mask < numMasks; mask++) {
+            if (!reachable[mask]) continue;
+            if ((mask & requiredMask) !== requiredMask) continue;
+
+            const count = popCount(mask);
+            const maskValue = maskScores ? maskScores[mask] : count;
 
-                const idx = mask * n + last;
-                const currentTime = dp[idx];
+            for (let visited = mask; visited !== 0; visited &= visited - 1) {
+                const last = 31 - Math.clz32(visited & -visited);
+                const state = finalOffset + mask * n + last;
+                const currentTime = dp[state];
 
                 if (currentTime >= INF) continue;
 
-                const fromCp = visitableCps[last];
-                const travelTime = getTravelTime(distances, fromCp.name, finishCp?.name, speed);
+                const arriveTime = finishFrom(tables, last, currentTime);
+
+                // Check if we can finish within the window, waiting if it has not opened yet
+                // The earliest state per visited set also finishes least late
+                if (arriveTime <= close) {
+                    const value = maskValue - getLateCost(ctx.late, finishWindow, arriveTime);
+                    const finishTime = Math.max(arriveTime, finishWindow.open);
+                    const tieBreak = tieCosts
+                        ? finishCost(ctx, last, arriveTime, tieCosts[state])
+                        : arriveTime;
+                    addCandidate(candidates, { value, count, arriveTime, finishTime, tieBreak, state }, kept);
+                }
+            }
+        }
+
+        if (candidates.length === 0) {
+            return noRouteResult(ctx);
+        }
+
+        // Reconstruct routes, best first, replaying each to place the break and score the secondary objective
+        const entries = candidates
+            .map(candidate => {
+                const order = reconstructOrder(parent, candidate.state, n, layerSize);
+                return { order, ...evaluateOrder(ctx, order) };
+            })
+            .filter(entry => entry.arriveTime !== undefined);
+        const routes = polishEntries(ctx, entries, limit).map(entry => routeFromOrder(ctx, entry));
+
+        return {
+            ...routes[0],
+            alternatives: routes,
+            engine: ENGINES.EXACT,
+            heuristic: false,
+            upperBound: candidates[0].value,
+            optimalityGap: 0
+        };
+    }
+
+    /**
+     * Heuristic solver for checkpoint sets too large for the DP
+     * Beam search over partial routes, then insertion/relocation local search
+     * on the finished routes. Reports an upper bound so the gap to optimal is known.
+     */
+    function solveHeuristic(ctx) {
+        const { data, config, visitableCps, requiredIndices } = ctx;
+        const { onProgress, alternatives } = config;
+        const n = visitableCps.length;
+        const width = config.beamWidth || DEFAULT_BEAM_WIDTH;
+        const limit = Math.max(1, alternatives || 1);
+
+        // Finished routes, keyed by route so each is kept once
+        const finished = new Map();
+        const recordFinished = (order) => {
+            const key = order.join(',');
+            if (finished.has(key)) return;
+
+            const evaluation = evaluateOrder(ctx, order);
+            if (evaluation && coversRequired(order, requiredIndices)) {
+                finished.set(key, { order, ...evaluation });
+            }
+        };
 
-                if (travelTime === INF) continue;
+        // A state still owed its break is ranked as if it had already taken it
+        const owed = (state) => (ctx.rest && !state.rested ? ctx.rest.duration : 0);
 
-                const finishTime = currentTime + travelTime;
+        let beam = [{ order: [], visited: new Uint8Array(n), time: ctx.startTime, value: 0, rested: false, walked: 0 }];
+        recordFinished([]);
 
-                // Check if we can finish within the window
-                if (finishTime <= finishWindow.close) {
-                    // Prefer more checkpoints, then earlier finish
-                    if (count > bestCount || (count === bestCount && finishTime < bestFinishTime)) {
-                        bestCount = count;
-                        bestMask = mask;
-                        bestLast = last;
-                        bestFinishTime = finishTime;
+        for (let depth = 0; depth < n && beam.length > 0; depth++) {
+            if (onProgress) {
+                onProgress({ stage: 'heuristic', depth, maxDepth: n });
+            }
+
+            // Expand every state by one checkpoint, keeping the earliest state per (visited set, last)
+            const children = new Map();
+
+            for (const state of beam) {
+                const last = state.order.length > 0 ? state.order[state.order.length - 1] : -1;
+
+                for (const from of withRest(ctx, state, last)) {
+                    for (let next = 0; next < n; next++) {
+                        if (from.visited[next] || breaksOrder(ctx.tables, from.visited, next)) continue;
+
+                        const departTime = departAfterVisit(ctx, last, next, from.time);
+                        if (departTime === INF) continue;
+
+                        // Prune states that can no longer reach the finish in time (by any path,
+                        // as a paired checkpoint cannot go straight to the finish)
+                        if (departTime + ctx.tables.minToFinish[next] + owed(from) > ctx.finishClose) continue;
+
+                        const visited = from.visited.slice();
+                        visited[next] = 1;
+                        const key = `${visited.join('')}|${next}|${from.rested ? 1 : 0}`;
+                        const existing = children.get(key);
+
+                        if (!existing || departTime < existing.time) {
+                            children.set(key, {
+                                order: from.order.concat(next),
+                                visited,
+                                time: departTime,
+                                value: from.value + checkpointValue(ctx, next),
+                                rested: from.rested,
+                                walked: from.walked + legDistance(ctx, last, next)
+                            });
+                        }
                     }
                 }
             }
+
+            // Keep the most valuable states, earliest first on ties
+            beam = Array.from(children.values())
+                .sort((a, b) => (b.value - a.value) || (a.time + owed(a) - b.time - owed(b)))
+                .slice(0, width);
+
+            for (const state of beam) {
+                recordFinished(state.order);
+            }
         }
 
-        // Handle case where no checkpoints can be visited
-        if (bestLast === -1) {
-            const directTime = getTravelTime(distances, startCp?.name, finishCp?.name, speed);
-            return {
-                count: 0,
-                route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
-                finishTime: startTime + directTime,
-                totalDistance: getDistanceValue(distances, startCp?.name, finishCp?.name),
-                totalHeight: getHeightValue(distances, startCp?.name, finishCp?.name)
-            };
+        if (onProgress) {
+            onProgress({ stage: 'heuristic', depth: n, maxDepth: n });
+        }
+
+        // Polish the best few routes with local search
+        const ranked = Array.from(finished.values()).sort((a, b) => compareEvaluations(a, b));
+        for (const entry of ranked.slice(0, Math.max(limit, LOCAL_SEARCH_ROUTES))) {
+            recordFinished(improveOrder(ctx, entry.order));
+        }
+
+        const best = polishEntries(ctx, Array.from(finished.values())
+            .sort((a, b) => compareEvaluations(a, b))
+            .slice(0, polishCount(ctx, limit)), limit);
+
+        if (best.length === 0) {
+            return noRouteResult(ctx);
         }
 
-        // Reconstruct route
-        const route = reconstructRoute(parent, visitableCps, bestMask, bestLast, n, startCp, finishCp);
+        const routes = best.map(entry => routeFromOrder(ctx, entry));
 
-        // Calculate totals
-        const { totalDistance, totalHeight } = calculateRouteTotals(route, distances);
+        const upperBound = heuristicUpperBound(ctx);
 
         return {
-            count: bestCount,
+            ...routes[0],
+            alternatives: routes,
+            engine: ENGINES.HEURISTIC,
+            heuristic: true,
+            upperBound,
+            optimalityGap: Math.max(0, upperBound - best[0].value)
+        };
+    }
+
+    /**
+     * Build a result route from an evaluated order of visitable checkpoint indices
+     */
+    function routeFromOrder(ctx, entry) {
+        const { data, config, visitableCps, startCp, finishCp } = ctx;
+        const route = [startCp?.name || 'Start', ...entry.order.map(i => visitableCps[i].name), finishCp?.name || 'Finish'];
+        const { totalDistance, totalHeight } = calculateRouteTotals(route, data.distances);
+        const totalScore = calculateRouteScore(route, data.checkpoints, config.scores);
+        const latePenalty = getLateCost(ctx.late, data.finishWindow, entry.arriveTime);
+
+        return {
+            count: entry.count,
+            totalScore,
+            lateMinutes: Math.max(0, entry.arriveTime - data.finishWindow.close),
+            latePenalty,
+            netScore: totalScore - latePenalty,
             route,
-            finishTime: bestFinishTime,
+            finishTime: entry.finishTime,
+            finishWait: entry.finishTime - entry.arriveTime,
             totalDistance,
-            totalHeight
+            totalHeight,
+            restAfter: entry.restIndex >= 0 ? visitableCps[entry.order[entry.restIndex]].name : null,
+            secondaryCost: entry.tieBreak,
+            omitted: explainOmitted(ctx, entry)
+        };
+    }
+
+    /**
+     * Explain why each visitable checkpoint is not on an evaluated route
+     * A checkpoint in a pair rule is tried together with its partners, as it cannot be visited without them
+     * @returns {Array} [{name, reason, ...details}] in checkpoint order, where reason is one of
+     *                  OMISSION_REASONS and details are closeTime and earliestArrival (closed),
+     *                  rules (rule descriptions, rules), detour (minutes), detourKm and spare
+     *                  (minutes before the finish closes) for detour and windows, or
+     *                  gain and penalty (points) for penalty and missed
+     */
+    function explainOmitted(ctx, entry) {
+        const { data, config, visitableCps, startCp, finishCp, tables } = ctx;
+        const { travel, baseTravel, distance, size } = tables;
+        const names = visitableCps.map(cp => cp.name).concat(startCp?.name, finishCp?.name);
+        const hasLeg = (from, to) => from !== to && data.distances.has(`${names[from]}|${names[to]}`);
+        const fastest = TravelModel.maxSpeedFactor(config.speedProfile);
+        const onRoute = new Set(entry.order);
+        const relaxed = relaxedContext(ctx);
+        const omitted = [];
+
+        const allRules = Constraints.normalize(config.constraints);
+        const rulesNaming = (cpNames) => allRules
+            .filter(rule => cpNames.includes(rule.from) || cpNames.includes(rule.to))
+            .map(rule => Constraints.describe(rule));
+
+        for (let i = 0; i < visitableCps.length; i++) {
+            if (onRoute.has(i)) continue;
+
+            const name = visitableCps[i].name;
+            const unit = pairedGroup(ctx, allRules, i).filter(j => !onRoute.has(j));
+            const unitNames = unit.map(j => names[j]);
+            const rules = rulesNaming(unitNames);
+
+            // No leg data in (from the start or another checkpoint) or out (to the finish or another)
+            let legsIn = false;
+            let legsOut = false;
+            for (let other = 0; other < size; other++) {
+                if (other !== tables.finish && hasLeg(other, i)) legsIn = true;
+                if (other !== tables.start && hasLeg(i, other)) legsOut = true;
+            }
+            if (!legsIn || !legsOut) {
+                omitted.push({ name, reason: OMISSION_REASONS.NO_DATA });
+                continue;
+            }
+
+            // Closed before even the quickest leg in from the start time could reach it
+            let quickestIn = INF;
+            for (let other = 0; other < size; other++) {
+                if (other !== tables.finish && other !== i) {
+                    quickestIn = Math.min(quickestIn, travel[other * size + i] / fastest);
+                }
+            }
+            const earliestArrival = ctx.startTime + quickestIn;
+            const lastSlot = tables.slotStart[i + 1] - 1;
+            if (quickestIn < INF && lastSlot >= tables.slotStart[i] && earliestArrival > tables.slotClose[lastSlot]) {
+                omitted.push({
+                    name,
+                    reason: OMISSION_REASONS.CLOSED,
+                    // No close time when every slot is too short under the window rule
+                    closeTime: tables.slotClose[lastSlot] > -INF ? tables.slotClose[lastSlot] : null,
+                    earliestArrival
+                });
+                continue;
+            }
+
+            // Try it at every position in the route
+            let best = null;
+            for (let pos = 0; pos <= entry.order.length; pos++) {
+                const candidate = entry.order.slice(0, pos).concat(unit, entry.order.slice(pos));
+                const evaluation = evaluateOrder(ctx, candidate);
+                if (evaluation && (!best || isBetterCandidate(evaluation, best))) {
+                    best = evaluation;
+                }
+            }
+
+            if (best) {
+                const gain = unit.reduce((sum, j) => sum + checkpointValue(ctx, j), 0);
+                omitted.push({
+                    name,
+                    reason: isBetterCandidate(best, entry) ? OMISSION_REASONS.MISSED : OMISSION_REASONS.PENALTY,
+                    gain,
+                    penalty: gain - (best.value - entry.value)
+                });
+                continue;
+            }
+
+            // Not even on its own (the break is left out, as one stop may not be enough to earn it):
+            // the rules are to blame only if it could be visited without them
+            if (!evaluateOrder({ ...ctx, rest: null }, unit)) {
+                const blocking = rules.length > 0 ? rules : rulesNaming([startCp?.name, finishCp?.name]);
+                omitted.push(evaluateOrder(relaxed, unit) && blocking.length > 0
+                    ? { name, reason: OMISSION_REASONS.RULES, rules: blocking }
+                    : { name, reason: OMISSION_REASONS.UNREACHABLE });
+                continue;
+            }
+
+            // Time and distance within the unit, which it takes wherever it goes
+            const head = unit[0];
+            const tail = unit[unit.length - 1];
+            let within = 0;
+            let withinKm = 0;
+            unit.forEach((j, k) => {
+                within += tables.dwell[j] + (k > 0 ? travel[unit[k - 1] * size + j] : 0);
+                withinKm += k > 0 ? distance[unit[k - 1] * size + j] : 0;
+            });
+
+            // Cheapest detour to fit it between two stops, at base speed
+            let detour = INF;
+            let detourKm = 0;
+            let blockedByRules = false;
+            for (let pos = 0; pos <= entry.order.length; pos++) {
+                const prev = pos === 0 ? tables.start : entry.order[pos - 1];
+                const next = pos === entry.order.length ? tables.finish : entry.order[pos];
+                if (travel[prev * size + head] >= INF || travel[tail * size + next] >= INF) {
+                    if (baseTravel[prev * size + head] < INF && baseTravel[tail * size + next] < INF) blockedByRules = true;
+                    continue;
+                }
+
+                const minutes = travel[prev * size + head] + within + travel[tail * size + next] -
+                    travel[prev * size + next];
+
+                if (minutes < detour) {
+                    detour = minutes;
+                    detourKm = distance[prev * size + head] + withinKm + distance[tail * size + next] -
+                        distance[prev * size + next];
+                }
+            }
+
+            // No way to join it to the route: rules blocked a leg (its own, or a pair rule of a
+            // stop on the route), or else the legs have no distance data
+            if (detour === INF) {
+                const blocking = rules.length > 0
+                    ? rules
+                    : rulesNaming(entry.order.map(cp => names[cp]).concat(startCp?.name, finishCp?.name));
+                omitted.push(blockedByRules && blocking.length > 0
+                    ? { name, reason: OMISSION_REASONS.RULES, rules: blocking }
+                    : { name, reason: OMISSION_REASONS.NO_DATA });
+                continue;
+            }
+
+            const spare = ctx.finishClose - entry.arriveTime;
+            omitted.push({
+                name,
+                reason: detour > spare ? OMISSION_REASONS.DETOUR : OMISSION_REASONS.WINDOWS,
+                detour,
+                detourKm,
+                spare
+            });
+        }
+
+        return omitted;
+    }
+
+    /**
+     * Checkpoint i with the checkpoints pair rules chain it to, in visiting order ([i] if it has none)
+     * @param {Array} rules - Normalized route rules
+     */
+    function pairedGroup(ctx, rules, i) {
+        const { visitableCps } = ctx;
+        const indexOf = (name) => visitableCps.findIndex(cp => cp.name === name);
+        const pairs = rules.filter(rule => rule.type === Constraints.TYPES.PAIR);
+        const group = [i];
+
+        // Back to the first of the chain, then on to its last, stopping at a loop or a checkpoint not visitable
+        let rule;
+        while ((rule = pairs.find(r => r.to === visitableCps[group[0]].name))) {
+            const prev = indexOf(rule.from);
+            if (prev < 0 || group.includes(prev)) break;
+            group.unshift(prev);
+        }
+        while ((rule = pairs.find(r => r.from === visitableCps[group[group.length - 1]].name))) {
+            const next = indexOf(rule.to);
+            if (next < 0 || group.includes(next)) break;
+            group.push(next);
+        }
+
+        return group;
+    }
+
+    /**
+     * How many of the best routes to keep for polishEntries
+     */
+    function polishCount(ctx, limit) {
+        return ctx.secondary === SECONDARY_OBJECTIVES.FINISH ? limit : Math.max(limit, POLISH_ROUTES);
+    }
+
+    /**
+     * Improve evaluated routes on the secondary objective, keeping their checkpoints
+     * Both engines keep the earliest state per visited set, so a slower ordering of the
+     * same checkpoints with less climb (say) is only found here
+     * @returns {Array} Up to limit distinct entries, best first
+     */
+    function polishEntries(ctx, entries, limit) {
+        if (ctx.secondary === SECONDARY_OBJECTIVES.FINISH) return entries.slice(0, limit);
+
+        const polished = new Map();
+        for (const entry of entries) {
+            const order = polishOrder(ctx, entry.order);
+            const key = order.join(',');
+            if (!polished.has(key)) {
+                polished.set(key, { order, ...evaluateOrder(ctx, order) });
+            }
+        }
+
+        return Array.from(polished.values())
+            .sort((a, b) => compareEvaluations(a, b))
+            .slice(0, limit);
+    }
+
+    /**
+     * Local search on the secondary objective: relocate one checkpoint or reverse a run
+     * of checkpoints while the route stays feasible and ranks better
+     */
+    function polishOrder(ctx, order) {
+        let current = order;
+        let currentEval = evaluateOrder(ctx, current);
+
+        for (let pass = 0; pass < MAX_LOCAL_SEARCH_PASSES && currentEval; pass++) {
+            let improved = false;
+
+            for (let i = 0; i < current.length && !improved; i++) {
+                for (let j = 0; j < current.length && !improved; j++) {
+                    if (i === j) continue;
+
+                    // Move current[i] to position j
+                    const moved = current.slice(0, i).concat(current.slice(i + 1));
+                    moved.splice(j, 0, current[i]);
+
+                    // Reverse current[i..j]
+                    const reversed = i < j
+                        ? current.slice(0, i).concat(current.slice(i, j + 1).reverse(), current.slice(j + 1))
+                        : null;
+
+                    for (const candidate of reversed ? [moved, reversed] : [moved]) {
+                        const evaluation = evaluateOrder(ctx, candidate);
+                        if (evaluation && isBetterCandidate(evaluation, currentEval)) {
+                            current = candidate;
+                            currentEval = evaluation;
+                            improved = true;
+                            break;
+                        }
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+
+        return current;
+    }
+
+    /**
+     * Precompute dense numeric tables for one solve so the inner loops avoid
+     * string keys and Map lookups. Nodes 0..n-1 are the visitable checkpoints,
+     * then the start and the finish.
+     * Travel times are stored at base speed; a time-dependent speed profile
+     * scales them at the departure time.
+     */
+    function buildTables(ctx) {
+        const { data, config, visitableCps, startCp, finishCp } = ctx;
+        const n = visitableCps.length;
+        const size = n + 2;
+        const start = n;
+        const finish = n + 1;
+        const names = visitableCps.map(cp => cp.name).concat(startCp?.name, finishCp?.name);
+
+        // Base travel minutes (INF where there is no distance data), leg distances in km and ascent in m
+        const baseConfig = { ...config, speedProfile: null };
+        const travel = new Float64Array(size * size).fill(INF);
+        const distance = new Float64Array(size * size);
+        const climb = new Float64Array(size * size);
+        for (let from = 0; from < size; from++) {
+            for (let to = 0; to < size; to++) {
+                if (from === to) continue;
+
+                const minutes = getTravelTime(data.distances, names[from], names[to], baseConfig);
+                if (minutes < INF) {
+                    travel[from * size + to] = minutes;
+                    distance[from * size + to] = getDistanceValue(data.distances, names[from], names[to]);
+                    climb[from * size + to] = getHeightValue(data.distances, names[from], names[to]);
+                }
+            }
+        }
+        const baseTravel = travel.slice();
+        const mustFollow = applyConstraints(ctx, names, travel);
+
+        // Open slots, flattened: slots of checkpoint i are slotStart[i]..slotStart[i + 1] - 1
+        // Closing times are the latest arrival the window rule allows
+        const slotStart = new Int32Array(n + 1);
+        const slots = [];
+        for (let i = 0; i < n; i++) {
+            const cp = visitableCps[i];
+            const openSlots = cp.openSlots || [];
+            const offset = getCloseOffset(config.windowRule, cp.dwell);
+
+            slotStart[i] = slots.length;
+            for (const slot of openSlots) {
+                if (slot.open <= slot.close - offset) {
+                    slots.push({ open: slot.open, close: slot.close - offset });
+                }
+            }
+
+            // Every slot too short under the rule: a slot nobody can arrive in
+            if (openSlots.length > 0 && slots.length === slotStart[i]) {
+                slots.push({ open: INF, close: -INF });
+            }
+        }
+        slotStart[n] = slots.length;
+
+        const tables = {
+            size,
+            start,
+            finish,
+            travel,
+            baseTravel, // travel before route rules
+            distance,
+            climb,
+            mustFollow,
+            slotStart,
+            slotOpen: Float64Array.from(slots, slot => slot.open),
+            slotClose: Float64Array.from(slots, slot => slot.close),
+            dwell: Float64Array.from(visitableCps, cp => cp.dwell),
+            profile: config.speedProfile,
+            timeDependent: isTimeDependent(config.speedProfile),
+            minToFinish: null
+        };
+
+        tables.minToFinish = buildMinToFinish(tables, TravelModel.maxSpeedFactor(config.speedProfile));
+        return tables;
+    }
+
+    /**
+     * Apply route rules: forbidden legs and legs that would split a pair become INF in the
+     * travel table, and 'before' rules are returned for the engines to check
+     * @returns {Array} mustFollow[i] - checkpoints that may not be visited before checkpoint i
+     */
+    function applyConstraints(ctx, names, travel) {
+        const { config, visitableCps } = ctx;
+        const n = visitableCps.length;
+        const size = n + 2;
+        const mustFollow = Array.from({ length: n }, () => []);
+
+        const nodes = new Map();
+        names.forEach((name, i) => {
+            if (name && !nodes.has(name)) nodes.set(name, i);
+        });
+
+        // Checkpoints already behind us when re-planning
+        const done = new Set(config.visitedCps || []);
+        if (config.startFrom) done.add(config.startFrom);
+
+        for (const rule of Constraints.normalize(config.constraints)) {
+            const from = nodes.get(rule.from);
+            const to = nodes.get(rule.to);
+
+            switch (rule.type) {
+                case Constraints.TYPES.FORBID:
+                    if (from !== undefined && to !== undefined) travel[from * size + to] = INF;
+                    break;
+
+                case Constraints.TYPES.PAIR:
+                    // Leave 'from' only for 'to', and reach 'to' only from 'from'
+                    for (let node = 0; node < size; node++) {
+                        if (from !== undefined && node !== to) travel[from * size + node] = INF;
+                        if (to !== undefined && node !== from) travel[node * size + to] = INF;
+                    }
+                    break;
+
+                case Constraints.TYPES.BEFORE:
+                    if (from === undefined || from >= n) break;
+
+                    if (to !== undefined && to < n) {
+                        mustFollow[from].push(to);
+                    } else if (done.has(rule.to)) {
+                        // Too late: 'to' has already been visited
+                        for (let node = 0; node < size; node++) travel[node * size + from] = INF;
+                    }
+                    break;
+            }
+        }
+
+        return mustFollow;
+    }
+
+    /**
+     * Lower bound on the time from each checkpoint to the finish by any path
+     * Dijkstra towards the finish on base travel times at the fastest profile speed
+     */
+    function buildMinToFinish(tables, fastest) {
+        const { size, start, finish, travel } = tables;
+        const dist = new Float64Array(size).fill(INF);
+        const done = new Uint8Array(size);
+        dist[finish] = 0;
+
+        for (;;) {
+            let node = -1;
+            for (let i = 0; i < size; i++) {
+                if (!done[i] && dist[i] < INF && (node < 0 || dist[i] < dist[node])) node = i;
+            }
+            if (node < 0) break;
+
+            done[node] = 1;
+            for (let from = 0; from < size; from++) {
+                // Routes never pass back through the start
+                if (from === start || done[from]) continue;
+
+                const leg = travel[from * size + node];
+                if (leg < INF && dist[node] + leg / fastest < dist[from]) {
+                    dist[from] = dist[node] + leg / fastest;
+                }
+            }
+        }
+
+        return dist;
+    }
+
+    /**
+     * Check whether a speed profile can change travel times during the day
+     */
+    function isTimeDependent(profile) {
+        if (!profile) return false;
+        if (profile.type === TravelModel.PROFILES.DECAY) return (profile.percentPerHour || 0) !== 0;
+        if (profile.type === TravelModel.PROFILES.TABLE) return (profile.table || []).length > 0;
+        return false;
+    }
+
+    /**
+     * Departure time after travelling from node 'from' to checkpoint 'to' and visiting it
+     * @returns {number} Minutes since midnight, or INF if there is no leg or the checkpoint stays closed
+     */
+    function departFrom(tables, from, to, time) {
+        const arriveTime = arriveFrom(tables, from, to, time);
+        if (arriveTime >= INF) return INF;
+
+        const first = tables.slotStart[to];
+        const last = tables.slotStart[to + 1];
+
+        // No restrictions
+        if (first === last) return arriveTime + tables.dwell[to];
+
+        for (let s = first; s < last; s++) {
+            if (arriveTime <= tables.slotClose[s]) {
+                // Wait for the slot to open if we are early
+                return Math.max(arriveTime, tables.slotOpen[s]) + tables.dwell[to];
+            }
+        }
+
+        // All slots have closed
+        return INF;
+    }
+
+    /**
+     * Arrival time at node 'to' leaving node 'from' at time
+     */
+    function arriveFrom(tables, from, to, time) {
+        const base = tables.travel[from * tables.size + to];
+        if (base >= INF) return INF;
+
+        return time + (tables.timeDependent ? base / TravelModel.speedFactor(tables.profile, time) : base);
+    }
+
+    /**
+     * Arrival time at the finish leaving node 'from' at time
+     */
+    function finishFrom(tables, from, time) {
+        return arriveFrom(tables, from, tables.finish, time);
+    }
+
+    /**
+     * Minutes between arriving at checkpoint 'to' and the latest arrival its slot allows
+     * (INF for a checkpoint that is always open)
+     */
+    function arrivalMargin(tables, from, to, time) {
+        const arriveTime = arriveFrom(tables, from, to, time);
+        const first = tables.slotStart[to];
+        const last = tables.slotStart[to + 1];
+        if (first === last) return INF;
+
+        for (let s = first; s < last; s++) {
+            if (arriveTime <= tables.slotClose[s]) return tables.slotClose[s] - arriveTime;
+        }
+        return -INF;
+    }
+
+    /**
+     * Secondary objective cost of a route that has not left the start
+     */
+    function startCost(secondary) {
+        return secondary === SECONDARY_OBJECTIVES.SLACK ? -INF : 0;
+    }
+
+    /**
+     * Secondary objective cost after adding the leg from node 'from' to checkpoint 'to' (lower is better)
+     * Slack is stored negated, as the smallest margin so far
+     */
+    function stepCost(tables, secondary, from, to, time, cost) {
+        switch (secondary) {
+            case SECONDARY_OBJECTIVES.DISTANCE:
+                return cost + tables.distance[from * tables.size + to];
+            case SECONDARY_OBJECTIVES.CLIMB:
+                return cost + tables.climb[from * tables.size + to];
+            case SECONDARY_OBJECTIVES.SLACK:
+                return Math.max(cost, -arrivalMargin(tables, from, to, time));
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Secondary objective cost of a whole route, ending at the finish from last (-1 = start)
+     */
+    function finishCost(ctx, last, arriveTime, cost) {
+        const { tables, secondary } = ctx;
+        const from = last < 0 ? tables.start : last;
+
+        switch (secondary) {
+            case SECONDARY_OBJECTIVES.DISTANCE:
+                return cost + tables.distance[from * tables.size + tables.finish];
+            case SECONDARY_OBJECTIVES.CLIMB:
+                return cost + tables.climb[from * tables.size + tables.finish];
+            case SECONDARY_OBJECTIVES.SLACK:
+                return Math.max(cost, arriveTime - ctx.data.finishWindow.close);
+            default:
+                return arriveTime;
+        }
+    }
+
+    /**
+     * Local search: insert unvisited checkpoints where they fit, and relocate
+     * visited ones when that finishes earlier (making room for more insertions)
+     */
+    function improveOrder(ctx, order) {
+        const n = ctx.visitableCps.length;
+        let current = order.slice();
+        let currentEval = evaluateOrder(ctx, current);
+
+        for (let pass = 0; pass < MAX_LOCAL_SEARCH_PASSES && currentEval; pass++) {
+            let improved = false;
+
+            // Insertion: add the most valuable checkpoint that fits anywhere
+            const unvisited = [];
+            for (let i = 0; i < n; i++) {
+                if (!current.includes(i)) unvisited.push(i);
+            }
+            unvisited.sort((a, b) => checkpointValue(ctx, b) - checkpointValue(ctx, a));
+
+            for (const cp of unvisited) {
+                let bestOrder = null;
+                let bestEval = null;
+
+                for (let pos = 0; pos <= current.length; pos++) {
+                    const candidate = current.slice(0, pos).concat(cp, current.slice(pos));
+                    const evaluation = evaluateOrder(ctx, candidate);
+
+                    if (evaluation && (!bestEval || evaluation.arriveTime < bestEval.arriveTime)) {
+                        bestOrder = candidate;
+                        bestEval = evaluation;
+                    }
+                }
+
+                if (bestEval && compareEvaluations(bestEval, currentEval) < 0) {
+                    current = bestOrder;
+                    currentEval = bestEval;
+                    improved = true;
+                    break;
+                }
+            }
+
+            if (improved) continue;
+
+            // Relocation: move one checkpoint if the route finishes earlier
+            for (let from = 0; from < current.length && !improved; from++) {
+                const without = current.slice(0, from).concat(current.slice(from + 1));
+
+                for (let pos = 0; pos <= without.length; pos++) {
+                    if (pos === from) continue;
+
+                    const candidate = without.slice(0, pos).concat(current[from], without.slice(pos));
+                    const evaluation = evaluateOrder(ctx, candidate);
+
+                    if (evaluation && evaluation.arriveTime < currentEval.arriveTime - 1e-9) {
+                        current = candidate;
+                        currentEval = evaluation;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+
+        return current;
+    }
+
+    /**
+     * Evaluate an order of visitable checkpoint indices, taking any rest break where it finishes earliest
+     * @returns {Object|null} {arriveTime, finishTime, count, value, tieBreak, restIndex} or null if it misses
+     *                        a window or the finish, or leaves nowhere to take the break
+     */
+    function evaluateOrder(ctx, order) {
+        if (!ctx.rest) return replayOrder(ctx, order, -1);
+
+        let best = null;
+        for (let restIndex = 0; restIndex < order.length; restIndex++) {
+            const evaluation = replayOrder(ctx, order, restIndex);
+            if (evaluation && (!best || isBetterCandidate(evaluation, best))) {
+                best = evaluation;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Replay an order, taking the rest break after order[restIndex] (-1 for none)
+     */
+    function replayOrder(ctx, order, restIndex) {
+        let time = ctx.startTime;
+        let last = -1;
+        let value = 0;
+        let walked = 0;
+        let cost = startCost(ctx.secondary);
+        const visited = new Uint8Array(ctx.visitableCps.length);
+
+        for (let i = 0; i < order.length; i++) {
+            const next = order[i];
+            if (breaksOrder(ctx.tables, visited, next)) return null;
+            visited[next] = 1;
+
+            cost = stepCost(ctx.tables, ctx.secondary, last < 0 ? ctx.tables.start : last, next, time, cost);
+            time = departAfterVisit(ctx, last, next, time);
+            if (time === INF) return null;
+
+            walked += legDistance(ctx, last, next);
+            if (i === restIndex) {
+                time = getRestStart(ctx.rest, time, walked) + ctx.rest.duration;
+                if (time >= INF) return null;
+            }
+
+            value += checkpointValue(ctx, next);
+            last = next;
+        }
+
+        const { finishWindow } = ctx.data;
+        const arriveTime = finishTimeFrom(ctx, last, time);
+        if (arriveTime > ctx.finishClose) return null;
+
+        return {
+            arriveTime,
+            finishTime: Math.max(arriveTime, finishWindow.open),
+            count: order.length,
+            value: value - getLateCost(ctx.late, finishWindow, arriveTime),
+            tieBreak: finishCost(ctx, last, arriveTime, cost),
+            restIndex
+        };
+    }
+
+    /**
+     * Check whether visiting next now would break a 'before' rule
+     * @param {Uint8Array} visited - 1 for each checkpoint already visited
+     */
+    function breaksOrder(tables, visited, next) {
+        for (const later of tables.mustFollow[next]) {
+            if (visited[later]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * States to expand a beam state from: as it is, and after taking the break at last if it can
+     */
+    function withRest(ctx, state, last) {
+        if (!ctx.rest || state.rested || last < 0) return [state];
+
+        const restEnd = getRestStart(ctx.rest, state.time, state.walked) + ctx.rest.duration;
+        return restEnd < INF ? [state, { ...state, time: restEnd, rested: true }] : [state];
+    }
+
+    /**
+     * Departure time after travelling from last (-1 = start) to next and visiting it
+     */
+    function departAfterVisit(ctx, last, next, time) {
+        return departFrom(ctx.tables, last < 0 ? ctx.tables.start : last, next, time);
+    }
+
+    /**
+     * Arrival time at the finish leaving last (-1 = start) at time
+     */
+    function finishTimeFrom(ctx, last, time) {
+        return finishFrom(ctx.tables, last < 0 ? ctx.tables.start : last, time);
+    }
+
+    /**
+     * Distance in km from last (-1 = start) to next
+     */
+    function legDistance(ctx, last, next) {
+        const { tables } = ctx;
+        return tables.distance[(last < 0 ? tables.start : last) * tables.size + next];
+    }
+
+    /**
+     * Objective value of one checkpoint (its score, or 1 when counting)
+     */
+    function checkpointValue(ctx, index) {
+        return ctx.config.objective === 'score' ? ctx.visitableCps[index].score : 1;
+    }
+
+    /**
+     * Upper bound on the objective, used to report the heuristic's optimality gap
+     * Each visit costs at least its cheapest incoming leg plus dwell, so the
+     * bound is a (fractional) knapsack of those costs into the available time
+     */
+    function heuristicUpperBound(ctx) {
+        const { data, config, visitableCps, startTime } = ctx;
+        const n = visitableCps.length;
+
+        // Route rules and the rest break only ever remove routes, so the bound relaxes both to stay an
+        // over-estimate: a lone checkpoint may not be far enough along to take the break, and a pair rule
+        // blocks every leg into its checkpoints but one
+        const reachCtx = relaxedContext(ctx);
+        const { tables } = reachCtx;
+        const { travel, size } = tables;
+        const fastest = TravelModel.maxSpeedFactor(config.speedProfile);
+        const legLowerBound = (from, to) => travel[from * size + to] / fastest;
+
+        const items = [];
+        let minFinishLeg = INF;
+
+        for (let i = 0; i < n; i++) {
+            // Only checkpoints that can be visited on their own can appear in any route
+            if (!evaluateOrder(reachCtx, [i])) continue;
+
+            let minLeg = legLowerBound(tables.start, i);
+            for (let other = 0; other < n; other++) {
+                if (other !== i) {
+                    minLeg = Math.min(minLeg, legLowerBound(other, i));
+                }
+            }
+
+            minFinishLeg = Math.min(minFinishLeg, legLowerBound(i, tables.finish));
+            items.push({ value: checkpointValue(ctx, i), cost: minLeg + visitableCps[i].dwell });
+        }
+
+        let budget = ctx.finishClose - startTime - minFinishLeg - (ctx.rest ? ctx.rest.duration : 0);
+        let bound = 0;
+
+        items.sort((a, b) => (b.value / b.cost) - (a.value / a.cost));
+        for (const item of items) {
+            if (budget <= 0) break;
+
+            if (item.cost <= budget) {
+                bound += item.value;
+                budget -= item.cost;
+            } else {
+                bound += item.value * budget / item.cost;
+                budget = 0;
+            }
+        }
+
+        // Counts are whole numbers
+        return config.objective === 'score' ? bound : Math.floor(bound);
+    }
+
+    /**
+     * Context without the route rules or the rest break, to tell what they rule out
+     */
+    function relaxedContext(ctx) {
+        const tables = { ...ctx.tables, travel: ctx.tables.baseTravel, mustFollow: ctx.visitableCps.map(() => []) };
+        return { ...ctx, rest: null, tables };
+    }
+
+    /**
+     * Check that an order includes every required checkpoint
+     */
+    function coversRequired(order, requiredIndices) {
+        return requiredIndices.every(i => order.includes(i));
+    }
+
+    /**
+     * Sort comparator for evaluated routes, best first
+     */
+    function compareEvaluations(a, b) {
+        if (isBetterCandidate(a, b)) return -1;
+        if (isBetterCandidate(b, a)) return 1;
+        return 0;
+    }
+
+    /**
+     * Result when no route through any checkpoint reaches the finish in time
+     * Without room for a rest break, plans the route without it (flagged restMissed);
+     * otherwise explains the required checkpoints when they are the reason
+     */
+    function noRouteResult(ctx) {
+        const { data, config, visitableCps, startCp, finishCp, startTime, requiredIndices } = ctx;
+        const { distances } = data;
+
+        // Whatever else stands in the way is reported by the plan without the break
+        if (ctx.rest) {
+            const noRest = { ...ctx, rest: null };
+            const engine = chooseEngine(visitableCps.length, config.engine, false);
+            const result = engine === ENGINES.HEURISTIC ? solveHeuristic(noRest) : solveExact(noRest);
+            return result.infeasible ? result : { ...result, restMissed: true };
+        }
+
+        // Required checkpoints could not all be fitted into one route
+        if (requiredIndices.length > 0) {
+            const unreachable = findUnreachableRequired(ctx);
+            const required = requiredIndices.map(i => visitableCps[i].name);
+            const message = unreachable.length > 0
+                ? `Required checkpoints cannot be reached in time: ${unreachable.join(', ')}`
+                : `Required checkpoints cannot all be visited before the finish closes: ${required.join(', ')}`;
+
+            return infeasibleResult(data, startTime, startCp, finishCp, message);
+        }
+
+        // Handle case where no checkpoints can be visited
+        const directTime = getTravelTime(distances, startCp?.name, finishCp?.name, config, startTime);
+        return {
+            count: 0,
+            totalScore: 0,
+            route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
+            finishTime: Math.max(startTime + directTime, data.finishWindow.open),
+            totalDistance: getDistanceValue(distances, startCp?.name, finishCp?.name),
+            totalHeight: getHeightValue(distances, startCp?.name, finishCp?.name)
         };
     }
 
     /**
      * Find minimum speed to visit all included checkpoints
      * @param {Object} data - Loaded year data
-     * @param {Object} config - {dwellTime, excludedCps}
+     * @param {Object} config - {dwellTime, excludedCps, requiredCps, onProgress,
+     *                            speedSearch: {minSpeed, maxSpeed, resolution} (see DEFAULT_SPEED_SEARCH)}
      * @returns {Object} {speed, route, finishTime} or {speed: null} if impossible
      */
     function findMinSpeed(data, config) {
-        const { checkpoints, excludedCps } = config;
+        const { excludedCps, onProgress } = config;
+        const grid = speedGrid(config.speedSearch);
 
         // Count expected checkpoints
         let expectedCount = 0;
@@ -197,47 +1459,269 @@ const Solver = (function() {
         }
 
         if (expectedCount === 0) {
-            return { speed: 3.0, route: [], finishTime: 0 };
+            return { speed: grid.speedAt(0), route: [], finishTime: 0 };
         }
 
-        // Binary search for minimum speed
-        let low = 3.0;
-        let high = 10.0;
-        let bestResult = null;
+        // Binary search over grid steps for the slowest speed that visits everything
+        const iterations = Math.ceil(Math.log2(grid.steps + 1));
+        const results = new Map();
+        let iteration = 0;
+
+        // Maximise checkpoints whatever the objective, as a higher scoring route may leave some out,
+        // and only on time: a late finish does not count as visiting them
+        const solveAt = (step) => {
+            if (!results.has(step)) {
+                iteration++;
+                const speed = grid.speedAt(step);
+                const progress = onProgress && ((p) => onProgress({ ...p, stage: 'minSpeed', iteration, iterations, speed }));
+                const result = solve(data, { ...config, speed, objective: 'count', latePenalty: null, onProgress: progress });
+                results.set(step, { ...result, speed });
+            }
+            return results.get(step);
+        };
+        const visitsAll = (step) => {
+            const result = solveAt(step);
+            return isUsableSearchResult(result, data) && result.count >= expectedCount;
+        };
 
-        while (high - low > 0.05) {
-            const mid = (low + high) / 2;
-            const result = solve(data, { ...config, speed: mid });
+        let low = 0;
+        let high = grid.steps;
 
-            if (result.count >= expectedCount) {
-                bestResult = { ...result, speed: mid };
-                high = mid;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+
+            if (visitsAll(mid)) {
+                high = mid - 1;
             } else {
-                low = mid;
+                low = mid + 1;
             }
         }
 
-        // Final check with high value
-        const finalResult = solve(data, { ...config, speed: high });
-        if (finalResult.count >= expectedCount) {
-            return { ...finalResult, speed: Math.round(high * 10) / 10 };
+        // Monotonic counts only steer the search, as windows and the heuristic need not honour them:
+        // the answer is a step that was solved and visits everything, and the step below it one that was
+        // solved and does not
+        return low <= grid.steps && visitsAll(low) ? solveAt(low) : {
+            speed: null,
+            message: `Cannot visit all checkpoints and finish in time even at ${grid.speedAt(grid.steps)} km/h`
+        };
+    }
+
+    /**
+     * Sweep speeds to find, for each achievable checkpoint count, the slowest speed that reaches it
+     * Always maximises checkpoint count, whatever the configured objective, finishing on time
+     * @param {Object} data - Loaded year data
+     * @param {Object} config - As for solve, plus speedSearch: {minSpeed, maxSpeed, resolution}
+     * @returns {Object} {points: [{count, speed, result}], minSpeed, maxSpeed, resolution}
+     *                   where points are sorted by count and result is the solve result at that speed
+     */
+    function sweepSpeeds(data, config) {
+        const { onProgress } = config;
+        const grid = speedGrid(config.speedSearch);
+        const results = new Map();
+        let solves = 0;
+
+        const solveAt = (step) => {
+            if (!results.has(step)) {
+                solves++;
+                const speed = grid.speedAt(step);
+                const progress = onProgress && ((p) => onProgress({ ...p, stage: 'sweep', solves, speed }));
+                const result = solve(data, {
+                    ...config, speed, objective: 'count', alternatives: 1, latePenalty: null, onProgress: progress
+                });
+                results.set(step, { ...result, speed });
+            }
+            return results.get(step);
+        };
+
+        // Checkpoints a speed's route reaches in time (none for a late, infeasible or break-less route)
+        const countAt = (step) => {
+            const result = solveAt(step);
+            return isUsableSearchResult(result, data) ? result.count : 0;
+        };
+
+        // Count mostly grows with speed, so split any step range whose ends differ
+        const points = [];
+        const refine = (low, high) => {
+            const lowCount = countAt(low);
+            const highCount = countAt(high);
+            if (lowCount >= highCount) return;
+
+            if (high - low <= 1) {
+                const result = solveAt(high);
+                points.push({ count: highCount, speed: result.speed, result });
+                return;
+            }
+
+            const mid = Math.floor((low + high) / 2);
+            refine(low, mid);
+            refine(mid, high);
+        };
+
+        if (countAt(0) > 0) {
+            const slowest = solveAt(0);
+            points.push({ count: slowest.count, speed: slowest.speed, result: slowest });
         }
+        refine(0, grid.steps);
+
+        // Where windows make the count dip with speed, keep only points that beat every slower one
+        let most = 0;
+        const kept = points
+            .sort((a, b) => a.speed - b.speed)
+            .filter((point) => {
+                if (point.count <= most) return false;
+                most = point.count;
+                return true;
+            });
+
+        return {
+            points: kept,
+            minSpeed: grid.speedAt(0),
+            maxSpeed: grid.speedAt(grid.steps),
+            resolution: grid.resolution
+        };
+    }
+
+    /**
+     * Whether a speed search result is a route that can be walked as planned:
+     * feasible, with any rest break taken, and at the finish before it closes
+     */
+    function isUsableSearchResult(result, data) {
+        return !result.infeasible && !result.restMissed && result.finishTime <= data.finishWindow.close;
+    }
+
+    /**
+     * Speeds searched by findMinSpeed and sweepSpeeds: minSpeed + k * resolution up to maxSpeed
+     */
+    function speedGrid(search) {
+        const { minSpeed, maxSpeed, resolution } = { ...DEFAULT_SPEED_SEARCH, ...search };
+        const steps = Math.max(0, Math.ceil((maxSpeed - minSpeed) / resolution - 1e-9));
+
+        // Round away floating point noise from the step arithmetic
+        const speedAt = (step) => Math.round(Math.min(maxSpeed, minSpeed + step * resolution) * 1000) / 1000;
+
+        return { steps, resolution, speedAt };
+    }
+
+    /**
+     * Check whether candidate a beats candidate b
+     * Prefers higher objective value, then more checkpoints, then the secondary objective
+     * (tieBreak, lower is better), then earlier arrival at the finish
+     */
+    function isBetterCandidate(a, b) {
+        if (a.value !== b.value) return a.value > b.value;
+        if (a.count !== b.count) return a.count > b.count;
+        if (a.tieBreak !== b.tieBreak) return a.tieBreak < b.tieBreak;
+        return a.arriveTime < b.arriveTime;
+    }
+
+    /**
+     * Insert a candidate into a best-first list capped at limit entries
+     */
+    function addCandidate(candidates, candidate, limit) {
+        if (candidates.length === limit && !isBetterCandidate(candidate, candidates[limit - 1])) {
+            return;
+        }
+
+        let pos = candidates.length;
+        while (pos > 0 && isBetterCandidate(candidate, candidates[pos - 1])) {
+            pos--;
+        }
+
+        candidates.splice(pos, 0, candidate);
+        if (candidates.length > limit) {
+            candidates.pop();
+        }
+    }
+
+    /**
+     * Build the result returned when the required checkpoints cannot all be visited
+     */
+    function infeasibleResult(data, startTime, startCp, finishCp, message) {
+        return {
+            infeasible: true,
+            message,
+            count: 0,
+            totalScore: 0,
+            route: [startCp?.name || 'Start', finishCp?.name || 'Finish'],
+            finishTime: startTime,
+            totalDistance: getDistanceValue(data.distances, startCp?.name, finishCp?.name),
+            totalHeight: getHeightValue(data.distances, startCp?.name, finishCp?.name)
+        };
+    }
+
+    /**
+     * Find required checkpoints that cannot be visited even on their own
+     * (Start -> checkpoint -> Finish misses an opening or the finish window)
+     */
+    function findUnreachableRequired(ctx) {
+        const { data, config, visitableCps, requiredIndices, startCp, finishCp, startTime } = ctx;
+        const { distances } = data;
+        const unreachable = [];
+
+        for (const i of requiredIndices) {
+            const cp = visitableCps[i];
+            const arriveTime = startTime + getTravelTime(distances, startCp?.name, cp.name, config, startTime);
+            const closeOffset = getCloseOffset(config.windowRule, cp.dwell);
+            const departTime = arriveTime + getWaitTime(arriveTime, cp.openSlots, closeOffset) + cp.dwell;
+            const finishTime = departTime + getTravelTime(distances, cp.name, finishCp?.name, config, departTime);
+
+            if (finishTime > ctx.finishClose) {
+                unreachable.push(cp.name);
+            }
+        }
+
+        return unreachable;
+    }
+
+    /**
+     * Get score for a checkpoint
+     * Config overrides take precedence over the score from the openings CSV
+     * @param {string} name - Checkpoint name
+     * @param {Map} checkpoints - Checkpoint map from year data
+     * @param {Map} scores - Optional map of name -> score overrides
+     */
+    function getCheckpointScore(name, checkpoints, scores) {
+        const override = scores?.get(name);
+        if (typeof override === 'number' && !isNaN(override)) return override;
+
+        const cp = checkpoints?.get(name);
+        if (!cp || cp.isStart || cp.isFinish) return 0;
+
+        return typeof cp.score === 'number' ? cp.score : DEFAULT_SCORE;
+    }
+
+    /**
+     * Get dwell time for a checkpoint in minutes
+     * Config overrides take precedence over the dwell from the openings CSV, then the global dwell time
+     * @param {string} name - Checkpoint name
+     * @param {Map} checkpoints - Checkpoint map from year data
+     * @param {Map} dwellTimes - Optional map of name -> dwell overrides
+     * @param {number} dwellTime - Global dwell time
+     */
+    function getCheckpointDwell(name, checkpoints, dwellTimes, dwellTime) {
+        const cp = checkpoints?.get(name);
+        if (cp && (cp.isStart || cp.isFinish)) return 0;
+
+        const override = dwellTimes?.get(name);
+        if (typeof override === 'number' && !isNaN(override)) return override;
 
-        return bestResult || { speed: null, message: 'Cannot visit all checkpoints even at max speed' };
+        return typeof cp?.dwell === 'number' ? cp.dwell : (dwellTime || 0);
     }
 
     /**
-     * Get travel time between two checkpoints
+     * Get travel time between two checkpoints in minutes
+     * @param {Object} config - {speed, travelModel, naismithMinutes, fitness, speedProfile}
+     * @param {number} departTime - Departure time, used by the speed profile
      */
-    function getTravelTime(distances, from, to, speed) {
-        if (!from || !to || !speed) return INF;
+    function getTravelTime(distances, from, to, config, departTime) {
+        if (!from || !to || !config?.speed) return INF;
 
         const key = `${from}|${to}`;
         const dist = distances?.get(key);
 
         if (!dist) return INF;
 
-        return (dist.distance / speed) * 60; // Convert to minutes
+        return TravelModel.legMinutes(dist.distance, dist.heightGain, config, departTime);
     }
 
     /**
@@ -264,16 +1748,102 @@ const Solver = (function() {
         return dist ? dist.heightGain : 0;
     }
 
+    /**
+     * Minutes before a slot closes that the window rule stops accepting arrivals
+     * @param {Object} rule - {type: 'arrive'|'depart'|'margin', minutes} (default arrive-by-close)
+     * @param {number} dwell - Dwell time at the checkpoint, which 'depart' must fit before close
+     */
+    function getCloseOffset(rule, dwell) {
+        switch (rule?.type) {
+            case WINDOW_RULES.DEPART:
+                return dwell || 0;
+            case WINDOW_RULES.MARGIN:
+                return rule.minutes || 0;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Normalise the rest break option
+     * @returns {Object|null} {mode, duration, earliest, latest, afterKm}, or null without a break
+     */
+    function getRestBreak(restBreak) {
+        if (!restBreak || !(restBreak.duration > 0)) return null;
+        if (restBreak.mode !== REST_MODES.WINDOW && restBreak.mode !== REST_MODES.DISTANCE) return null;
+
+        return {
+            mode: restBreak.mode,
+            duration: restBreak.duration,
+            earliest: restBreak.earliest ?? 0,
+            latest: restBreak.latest ?? INF,
+            afterKm: restBreak.afterKm || 0
+        };
+    }
+
+    /**
+     * Normalise the late finish penalty option
+     * @param {Object} latePenalty - {perMinute: points lost per minute late, maxMinutes: latest allowed lateness}
+     * @returns {Object|null} {perMinute, maxMinutes}, or null when the finish closing is a hard cutoff
+     */
+    function getLatePenalty(latePenalty) {
+        if (!latePenalty || !(latePenalty.maxMinutes > 0)) return null;
+
+        return {
+            perMinute: Math.max(0, latePenalty.perMinute || 0),
+            maxMinutes: latePenalty.maxMinutes
+        };
+    }
+
+    /**
+     * Latest arrival the finish accepts: its closing, plus the allowed lateness under a penalty
+     */
+    function getFinishCutoff(finishWindow, latePenalty) {
+        const late = getLatePenalty(latePenalty);
+        return finishWindow.close + (late ? late.maxMinutes : 0);
+    }
+
+    /**
+     * Points lost for arriving at the finish at arriveTime
+     */
+    function getLateCost(latePenalty, finishWindow, arriveTime) {
+        const late = getLatePenalty(latePenalty);
+        if (!late) return 0;
+        return late.perMinute * Math.max(0, arriveTime - finishWindow.close);
+    }
+
+    /**
+     * When a rest break taken at a checkpoint can start
+     * @param {Object} rest - {mode: 'window'|'distance', duration, earliest, latest, afterKm}
+     * @param {number} time - When the team is ready to leave the checkpoint
+     * @param {number} walked - Distance walked so far (km)
+     * @returns {number} Start time (waiting for the window to open), or INF if the break cannot be taken here
+     */
+    function getRestStart(rest, time, walked) {
+        if (rest.mode === REST_MODES.DISTANCE) {
+            return walked >= rest.afterKm - 1e-9 ? time : INF;
+        }
+
+        const start = Math.max(time, rest.earliest ?? 0);
+        return start <= (rest.latest ?? INF) ? start : INF;
+    }
+
     /**
      * Get wait time until checkpoint opens
      * Returns INF if checkpoint is closed and won't open
+     * @param {number} closeOffset - Arrivals must be this many minutes before a slot closes (see getCloseOffset)
      */
-    function getWaitTime(arriveTime, openSlots) {
+    function getWaitTime(arriveTime, openSlots, closeOffset = 0) {
         if (!openSlots || openSlots.length === 0) {
             return 0; // No restrictions
         }
 
-        for (const slot of openSlots) {
+        for (const openSlot of openSlots) {
+            const slot = { open: openSlot.open, close: openSlot.close - closeOffset };
+
+            // Too short to use under the window rule
+            if (slot.open > slot.close) continue;
+
             // If we arrive during an open slot
             if (arriveTime >= slot.open && arriveTime <= slot.close) {
                 return 0;
@@ -290,40 +1860,31 @@ const Solver = (function() {
     }
 
     /**
-     * Reconstruct route from DP parent pointers
+     * Reconstruct the order of visitable checkpoint indices from DP parent pointers
+     * States in the second layer (index >= layerSize) have taken the rest break
      */
-    function reconstructRoute(parent, visitableCps, mask, last, n, startCp, finishCp) {
-        const route = [];
+    function reconstructOrder(parent, state, n, layerSize) {
+        const order = [];
+        let idx = state;
 
-        let currentMask = mask;
-        let currentLast = last;
-
-        while (currentLast >= 0) {
-            route.unshift(visitableCps[currentLast].name);
-
-            const idx = currentMask * n + currentLast;
+        while (idx >= 0) {
             const prevIdx = parent[idx];
 
-            if (prevIdx === -2) {
-                // Came from start
-                break;
+            // The break was taken here: same checkpoint, previous layer
+            if (idx >= layerSize && prevIdx === idx - layerSize) {
+                idx = prevIdx;
+                continue;
             }
 
-            if (prevIdx < 0) break;
+            order.unshift(idx % layerSize % n);
 
-            // Decode previous state
-            const prevMask = Math.floor(prevIdx / n);
-            const prevLast = prevIdx % n;
+            // -2 means came from start
+            if (prevIdx < 0) break;
 
-            currentMask = prevMask;
-            currentLast = prevLast;
+            idx = prevIdx;
         }
 
-        // Add start and finish
-        route.unshift(startCp?.name || 'Start');
-        route.push(finishCp?.name || 'Finish');
-
-        return route;
+        return order;
     }
 
     /**
@@ -351,6 +1912,33 @@ const Solver = (function() {
         };
     }
 
+    /**
+     * Calculate total score for a route
+     */
+    function calculateRouteScore(route, checkpoints, scores) {
+        let total = 0;
+        for (const name of route) {
+            total += getCheckpointScore(name, checkpoints, scores);
+        }
+        return total;
+    }
+
+    /**
+     * Precompute total score for every mask
+     * Each mask adds its lowest checkpoint to the mask without it
+     */
+    function buildMaskScores(visitableCps, numMasks) {
+        const maskScores = new Float64Array(numMasks);
+
+        for (let mask = 1; mask < numMasks; mask++) {
+            const lowBit = mask & -mask;
+            const index = 31 - Math.clz32(lowBit);
+            maskScores[mask] = maskScores[mask ^ lowBit] + visitableCps[index].score;
+        }
+
+        return maskScores;
+    }
+
     /**
      * Count set bits in a number (population count)
      */
@@ -367,7 +1955,25 @@ const Solver = (function() {
     return {
         solve,
         findMinSpeed,
+        sweepSpeeds,
         getTravelTime,
-        getWaitTime
+        getWaitTime,
+        getCloseOffset,
+        getRestBreak,
+        getRestStart,
+        getLatePenalty,
+        getFinishCutoff,
+        getLateCost,
+        getCheckpointScore,
+        getCheckpointDwell,
+        ENGINES,
+        EXACT_LIMIT,
+        MAX_EXACT_CHECKPOINTS,
+        START_SEARCH_STEP,
+        OMISSION_REASONS,
+        WINDOW_RULES,
+        REST_MODES,
+        SECONDARY_OBJECTIVES,
+        DEFAULT_SPEED_SEARCH
     };
 })();
@@ -5,11 +5,12 @@
 
 const Storage = (function() {
     const DB_NAME = 'DoveTrekDB';
-    const DB_VERSION = 1;
+    const DB_VERSION = 2;
     const STORES = {
         OPENINGS: 'openings',
         DISTANCES: 'distances',
-        ROUTES: 'routes'
+        ROUTES: 'routes',
+        EVENTS: 'events'
     };
 
     let db = null;
@@ -45,6 +46,9 @@ const Storage = (function() {
                 if (!database.objectStoreNames.contains(STORES.ROUTES)) {
                     database.createObjectStore(STORES.ROUTES, { keyPath: 'id' });
                 }
+                if (!database.objectStoreNames.contains(STORES.EVENTS)) {
+                    database.createObjectStore(STORES.EVENTS, { keyPath: 'id' });
+                }
             };
         });
     }
@@ -87,6 +91,18 @@ const Storage = (function() {
         });
     }
 
+    async function deleteFromCache(storeName, key) {
+        const database = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(key);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async function clearCache(storeName) {
         const database = await initDB();
         return new Promise((resolve, reject) => {
@@ -133,8 +149,11 @@ const Storage = (function() {
 
     // ===== Specific Data Methods =====
 
-    async function saveOpenings(year, data) {
-        return saveToCache(STORES.OPENINGS, { year, data, timestamp: Date.now() });
+    /**
+     * @param {string} dataSource - Description of the data source it came from (see DataSources.describe)
+     */
+    async function saveOpenings(year, data, dataSource) {
+        return saveToCache(STORES.OPENINGS, { year, data, dataSource, timestamp: Date.now() });
     }
 
     async function getOpenings(year) {
@@ -142,9 +161,9 @@ const Storage = (function() {
         return result ? result.data : null;
     }
 
-    async function saveDistances(year, source, data) {
+    async function saveDistances(year, source, data, dataSource) {
         const key = `${year}_${source}`;
-        return saveToCache(STORES.DISTANCES, { key, year, source, data, timestamp: Date.now() });
+        return saveToCache(STORES.DISTANCES, { key, year, source, data, dataSource, timestamp: Date.now() });
     }
 
     async function getDistances(year, source = null) {
@@ -169,6 +188,25 @@ const Storage = (function() {
         return getAllFromCache(STORES.ROUTES);
     }
 
+    /**
+     * Save an imported event: {id, name, openings, distances} with the raw CSV text
+     */
+    async function saveEvent(event) {
+        return saveToCache(STORES.EVENTS, { ...event, timestamp: Date.now() });
+    }
+
+    async function getEvent(id) {
+        return getFromCache(STORES.EVENTS, id);
+    }
+
+    async function getEvents() {
+        return getAllFromCache(STORES.EVENTS);
+    }
+
+    async function deleteEvent(id) {
+        return deleteFromCache(STORES.EVENTS, id);
+    }
+
     // Public API
     return {
         init: initDB,
@@ -178,6 +216,7 @@ const Storage = (function() {
         saveToCache,
         getFromCache,
         getAllFromCache,
+        deleteFromCache,
         clearCache,
 
         // Preferences
@@ -191,7 +230,11 @@ const Storage = (function() {
         saveDistances,
         getDistances,
         saveRoute,
-        getSavedRoutes
+        getSavedRoutes,
+        saveEvent,
+        getEvent,
+        getEvents,
+        deleteEvent
     };
 })();
 
@@ -0,0 +1,221 @@
+/**
+ * DoveTrek Travel Model Module
+ * Converts leg distance and height gain into walking time
+ * Shared by the solver, route card and tracker so plans agree
+ */
+
+const TravelModel = (function() {
+
+    const MODELS = {
+        FLAT: 'flat',
+        NAISMITH: 'naismith',
+        TRANTER: 'tranter'
+    };
+
+    // Naismith's rule: 1 hour per 600 m of ascent
+    const DEFAULT_NAISMITH_MINUTES = 10; // minutes per 100 m
+
+    // Default Tranter fitness: minutes to climb 300 m over 800 m
+    const DEFAULT_FITNESS = 25;
+
+    // Tranter's corrections apply to a whole day, so legs are scaled by the
+    // correction for a standard DoveTrek day (10:00 start, 17:00 finish)
+    const TRANTER_REFERENCE_HOURS = 7;
+
+    // Tranter's corrections table: Naismith hours -> corrected hours per fitness level
+    const TRANTER_HOURS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22, 24];
+    const TRANTER_TABLE = {
+        15: [1, 1.5, 2, 2.75, 3.5, 4.5, 5.5, 6.75, 7.75, 10, 12.5, 14.5, 17, 19.5, 22, 24],
+        20: [1.25, 2.25, 3.25, 4.5, 5.5, 6.5, 7.75, 8.75, 10, 12.5, 15, 17.5, 20, 23],
+        25: [1.5, 3, 4.25, 5.5, 7, 8.5, 10, 11.5, 13.25, 15, 17.5],
+        30: [2, 3.5, 5, 6.75, 8.5, 10.5, 12.5, 14.5],
+        40: [2.75, 4.25, 5.75, 7.5, 9.5, 11.5],
+        50: [3.25, 4.75, 6.5, 8.5]
+    };
+    const TRANTER_FITNESS_LEVELS = Object.keys(TRANTER_TABLE).map(Number);
+
+    const PROFILES = {
+        CONSTANT: 'constant',
+        DECAY: 'decay',
+        TABLE: 'table'
+    };
+
+    // Never plan slower than this fraction of the base speed
+    const MIN_SPEED_FACTOR = 0.3;
+
+    /**
+     * Calculate walking time for a leg
+     * @param {number} distance - Leg distance in km
+     * @param {number} heightGain - Leg ascent in metres
+     * @param {Object} config - {speed: km/h, travelModel, naismithMinutes, fitness, speedProfile}
+     * @param {number} departTime - Departure time (minutes since midnight) for the speed profile
+     * @returns {number} Travel time in minutes (Infinity if speed is not set)
+     */
+    function legMinutes(distance, heightGain, config, departTime) {
+        const { speed, travelModel = MODELS.FLAT } = config;
+        if (!speed || speed <= 0) return Infinity;
+
+        let minutes = (distance / speed) * 60;
+
+        if (travelModel !== MODELS.FLAT) {
+            const naismithMinutes = config.naismithMinutes ?? DEFAULT_NAISMITH_MINUTES;
+            minutes += (Math.max(0, heightGain || 0) / 100) * naismithMinutes;
+
+            if (travelModel === MODELS.TRANTER) {
+                minutes *= tranterFactor(config.fitness ?? DEFAULT_FITNESS);
+            }
+        }
+
+        return minutes / speedFactor(config.speedProfile, departTime);
+    }
+
+    /**
+     * Fraction of base speed the profile allows at a departure time
+     * @param {Object} profile - {type: 'constant'|'decay'|'table', from, percentPerHour, table: [{time, percent}]}
+     *                           Decay counts hours since profile.from (the race start)
+     * @param {number} departTime - Minutes since midnight
+     * @returns {number} Speed factor (1 = base speed)
+     */
+    function speedFactor(profile, departTime) {
+        if (!profile || typeof departTime !== 'number') return 1;
+
+        let factor = 1;
+
+        if (profile.type === PROFILES.DECAY) {
+            const hours = Math.max(0, departTime - (profile.from || 0)) / 60;
+            factor = 1 - (profile.percentPerHour || 0) / 100 * hours;
+        } else if (profile.type === PROFILES.TABLE && profile.table) {
+            // Each entry applies from its clock time until the next one
+            for (const entry of profile.table) {
+                if (departTime < entry.time) break;
+                factor = entry.percent / 100;
+            }
+        }
+
+        return Math.max(MIN_SPEED_FACTOR, factor);
+    }
+
+    /**
+     * Highest speed factor the profile ever allows
+     * Lets callers turn profile-free leg times into lower bounds
+     */
+    function maxSpeedFactor(profile) {
+        if (profile?.type === PROFILES.TABLE && profile.table) {
+            return Math.max(1, ...profile.table.map(entry => entry.percent / 100));
+        }
+        return 1;
+    }
+
+    /**
+     * Parse a speed table like "13:00 95%, 15:00 85%"
+     * @returns {Array} [{time, percent}] sorted by time; invalid entries are skipped
+     */
+    function parseProfileTable(text) {
+        const table = [];
+
+        for (const part of (text || '').split(/[,;\n]/)) {
+            const match = part.trim().match(/^(\d{1,2}:?\d{2})\s*[= ]\s*(\d+(?:\.\d+)?)\s*%?$/);
+            if (!match) continue;
+
+            table.push({
+                time: CSVParser.parseTime(match[1]),
+                percent: parseFloat(match[2])
+            });
+        }
+
+        return table.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Format a speed table back to text
+     */
+    function formatProfileTable(table) {
+        return (table || [])
+            .map(entry => `${CSVParser.formatTime(entry.time)} ${entry.percent}%`)
+            .join(', ');
+    }
+
+    /**
+     * Ratio of Tranter-corrected time to Naismith time over a standard day
+     * @param {number} fitness - Minutes to climb 300 m over 800 m
+     */
+    function tranterFactor(fitness) {
+        const hours = TRANTER_REFERENCE_HOURS;
+
+        // Interpolate between the two nearest fitness rows
+        const levels = TRANTER_FITNESS_LEVELS;
+        const clamped = Math.min(Math.max(fitness, levels[0]), levels[levels.length - 1]);
+
+        const upper = levels.findIndex(level => level >= clamped);
+        if (upper <= 0) return tranterHours(levels[0], hours) / hours;
+
+        const lowLevel = levels[upper - 1];
+        const highLevel = levels[upper];
+        const t = (clamped - lowLevel) / (highLevel - lowLevel);
+        const corrected = tranterHours(lowLevel, hours) * (1 - t) + tranterHours(highLevel, hours) * t;
+
+        return corrected / hours;
+    }
+
+    /**
+     * Look up corrected hours for one fitness row
+     * Rows stop where Tranter considered the day unrealistic; extrapolate from the last two cells
+     */
+    function tranterHours(level, naismithHours) {
+        const row = TRANTER_TABLE[level];
+
+        for (let i = 1; i < row.length; i++) {
+            if (naismithHours <= TRANTER_HOURS[i]) {
+                const t = (naismithHours - TRANTER_HOURS[i - 1]) / (TRANTER_HOURS[i] - TRANTER_HOURS[i - 1]);
+                return row[i - 1] + (row[i] - row[i - 1]) * t;
+            }
+        }
+
+        const last = row.length - 1;
+        const slope = (row[last] - row[last - 1]) / (TRANTER_HOURS[last] - TRANTER_HOURS[last - 1]);
+        return row[last] + slope * (naismithHours - TRANTER_HOURS[last]);
+    }
+
+    /**
+     * Describe the configured model for summaries and exports
+     */
+    function describe(config) {
+        let text;
+        switch (config.travelModel) {
+            case MODELS.NAISMITH:
+                text = `Naismith (${config.naismithMinutes ?? DEFAULT_NAISMITH_MINUTES} min/100 m)`;
+                break;
+            case MODELS.TRANTER:
+                text = `Tranter (fitness ${config.fitness ?? DEFAULT_FITNESS} min, ` +
+                    `${config.naismithMinutes ?? DEFAULT_NAISMITH_MINUTES} min/100 m)`;
+                break;
+            default:
+                text = 'Flat (distance / speed)';
+        }
+
+        const profile = config.speedProfile;
+        if (profile?.type === PROFILES.DECAY) {
+            text += `, ${profile.percentPerHour}% slower per hour`;
+        } else if (profile?.type === PROFILES.TABLE && profile.table?.length) {
+            text += `, speed table ${formatProfileTable(profile.table)}`;
+        }
+
+        return text;
+    }
+
+    // Public API
+    return {
+        MODELS,
+        PROFILES,
+        DEFAULT_NAISMITH_MINUTES,
+        DEFAULT_FITNESS,
+        TRANTER_FITNESS_LEVELS,
+        legMinutes,
+        tranterFactor,
+        speedFactor,
+        maxSpeedFactor,
+        parseProfileTable,
+        formatProfileTable,
+        describe
+    };
+})();
@@ -1,17 +1,24 @@
 // DoveTrek Service Worker
-const CACHE_NAME = 'dovetrek-v1';
+const CACHE_NAME = 'dovetrek-v6';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/manifest.json',
     '/css/styles.css',
     '/js/app.js',
+    '/js/travel-model.js',
+    '/js/constraints.js',
     '/js/solver.js',
+    '/js/solver-client.js',
+    '/js/solver-worker.js',
     '/js/csv-parser.js',
     '/js/bng-converter.js',
     '/js/route-card.js',
+    '/js/robustness.js',
     '/js/gpx-export.js',
     '/js/github-loader.js',
+    '/js/local-import.js',
+    '/js/data-sources.js',
     '/js/storage.js',
     '/js/distance-calc.js',
     '/icons/icon-192.png',
@@ -48,78 +55,139 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache, fall back to network
-self.addEventListener('fetch', (event) => {
-    const { request } = event;
-    const url = new URL(request.url);
+// Data file URL prefixes, set by the app from its configured data sources
+const DATA_SOURCES_KEY = '/__data-sources';
+const DEFAULT_DATA_PREFIXES = ['https://raw.githubusercontent.com/'];
+let dataPrefixes = null;
 
-    // Handle GitHub raw content requests (data files)
-    if (url.hostname === 'raw.githubusercontent.com') {
-        event.respondWith(
-            caches.open(CACHE_NAME)
-                .then((cache) => {
-                    return cache.match(request)
-                        .then((cachedResponse) => {
-                            // Return cached response if available
-                            if (cachedResponse) {
-                                // Fetch in background to update cache
-                                fetch(request)
-                                    .then((networkResponse) => {
-                                        if (networkResponse.ok) {
-                                            cache.put(request, networkResponse.clone());
-                                        }
-                                    })
-                                    .catch(() => {});
-                                return cachedResponse;
-                            }
+/**
+ * Load the data prefixes saved by the last SET_DATA_SOURCES message
+ */
+function loadDataPrefixes() {
+    if (dataPrefixes) return Promise.resolve(dataPrefixes);
 
-                            // Otherwise fetch from network
-                            return fetch(request)
-                                .then((networkResponse) => {
-                                    if (networkResponse.ok) {
-                                        cache.put(request, networkResponse.clone());
-                                    }
-                                    return networkResponse;
-                                });
+    return caches.open(CACHE_NAME)
+        .then((cache) => cache.match(DATA_SOURCES_KEY))
+        .then((response) => response ? response.json() : DEFAULT_DATA_PREFIXES)
+        .catch(() => DEFAULT_DATA_PREFIXES)
+        .then((prefixes) => {
+            dataPrefixes = prefixes;
+            return prefixes;
+        });
+}
+
+function saveDataPrefixes(prefixes) {
+    dataPrefixes = prefixes.length > 0 ? prefixes : DEFAULT_DATA_PREFIXES;
+    return caches.open(CACHE_NAME)
+        .then((cache) => cache.put(DATA_SOURCES_KEY, new Response(JSON.stringify(dataPrefixes))));
+}
+
+function isDataRequest(url) {
+    return dataPrefixes.some((prefix) => url.startsWith(prefix));
+}
+
+// Data files - serve from cache and refresh in the background, fall back to network
+function serveData(request) {
+    return caches.open(CACHE_NAME)
+        .then((cache) => {
+            return cache.match(request)
+                .then((cachedResponse) => {
+                    // Return cached response if available
+                    if (cachedResponse) {
+                        // Fetch in background to update cache
+                        fetch(request)
+                            .then((networkResponse) => {
+                                if (networkResponse.ok) {
+                                    cache.put(request, networkResponse.clone());
+                                }
+                            })
+                            .catch(() => {});
+                        return cachedResponse;
+                    }
+
+                    // Otherwise fetch from network
+                    return fetch(request)
+                        .then((networkResponse) => {
+                            if (networkResponse.ok) {
+                                cache.put(request, networkResponse.clone());
+                            }
+                            return networkResponse;
                         });
+                });
+        });
+}
+
+// Year manifests - network first so newly published years show at once, cached copy when offline
+function serveManifest(request) {
+    return caches.open(CACHE_NAME)
+        .then((cache) => {
+            return fetch(request)
+                .then((networkResponse) => {
+                    if (networkResponse.ok) {
+                        cache.put(request, networkResponse.clone());
+                    }
+                    return networkResponse;
                 })
-        );
-        return;
-    }
+                .catch(() => {
+                    return cache.match(request)
+                        .then((cachedResponse) => cachedResponse || new Response('Offline', { status: 503 }));
+                });
+        });
+}
 
-    // Handle static assets
-    event.respondWith(
-        caches.match(request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-
-                return fetch(request)
-                    .then((networkResponse) => {
-                        // Don't cache non-GET requests or external resources
-                        if (request.method !== 'GET' || !url.origin.includes(self.location.origin)) {
-                            return networkResponse;
-                        }
+function isManifestRequest(url) {
+    return url.pathname.endsWith('/index.json');
+}
 
-                        // Cache successful responses
-                        if (networkResponse.ok) {
-                            const responseToCache = networkResponse.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(request, responseToCache);
-                                });
-                        }
+// Static assets - serve from cache, fall back to network
+function serveStatic(request, url) {
+    return caches.match(request)
+        .then((cachedResponse) => {
+            if (cachedResponse) {
+                return cachedResponse;
+            }
 
+            return fetch(request)
+                .then((networkResponse) => {
+                    // Don't cache non-GET requests or external resources
+                    if (request.method !== 'GET' || !url.origin.includes(self.location.origin)) {
                         return networkResponse;
-                    })
-                    .catch(() => {
-                        // Return offline fallback for navigation requests
-                        if (request.mode === 'navigate') {
-                            return caches.match('/index.html');
-                        }
-                        return new Response('Offline', { status: 503 });
-                    });
+                    }
+
+                    // Cache successful responses
+                    if (networkResponse.ok) {
+                        const responseToCache = networkResponse.clone();
+                        caches.open(CACHE_NAME)
+                            .then((cache) => {
+                                cache.put(request, responseToCache);
+                            });
+                    }
+
+                    return networkResponse;
+                })
+                .catch(() => {
+                    // Return offline fallback for navigation requests
+                    if (request.mode === 'navigate') {
+                        return caches.match('/index.html');
+                    }
+                    return new Response('Offline', { status: 503 });
+                });
+        });
+}
+
+// Fetch event - data files from the configured sources, then static assets
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Source reachability checks use HEAD and always go to the network
+    if (request.method === 'HEAD') return;
+
+    event.respondWith(
+        loadDataPrefixes()
+            .then(() => {
+                if (!isDataRequest(request.url)) return serveStatic(request, url);
+                return isManifestRequest(url) ? serveManifest(request) : serveData(request);
             })
     );
 });
@@ -130,16 +198,30 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 
+    if (event.data && event.data.type === 'SET_DATA_SOURCES') {
+        event.waitUntil(saveDataPrefixes(event.data.prefixes || []));
+    }
+
+    // Clears data under the given prefixes (a removed source), or all data without them
     if (event.data && event.data.type === 'CLEAR_DATA_CACHE') {
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                cache.keys().then((keys) => {
-                    keys.forEach((key) => {
-                        if (key.url.includes('raw.githubusercontent.com')) {
-                            cache.delete(key);
-                        }
+        const prefixes = event.data.prefixes;
+        const isCleared = (url) => prefixes
+            ? prefixes.some((prefix) => url.startsWith(prefix))
+            // Cross-origin entries are data from sources that may since have been removed
+            : isDataRequest(url) || new URL(url).origin !== self.location.origin;
+
+        event.waitUntil(
+            loadDataPrefixes()
+                .then(() => caches.open(CACHE_NAME))
+                .then((cache) => {
+                    return cache.keys().then((keys) => {
+                        return Promise.all(
+                            keys
+                                .filter((key) => isCleared(key.url))
+                                .map((key) => cache.delete(key))
+                        );
                     });
-                });
-            });
+                })
+        );
     }
 });